@@ -0,0 +1,116 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const b4a = require("b4a")
+const cable = require("../index.js")
+const constants = require("../constants.js")
+const crypto = require("../cryptography.js")
+const validation = require("../validation.js")
+const { SeededRandom } = require("./harness.js")
+
+// the number of posts in the POST_RESPONSE benchmarks, i.e. a typical sync batch
+const BATCH_SIZE = 100
+const TIMESTAMP = 1700000000000
+
+// generates every input the benchmarks operate on from `seed`
+function createFixtures (seed) {
+  const rng = new SeededRandom(seed)
+  const hashes = (amount) => {
+    const out = []
+    for (let i = 0; i < amount; i++) { out.push(rng.bytes(constants.HASH_SIZE)) }
+    return out
+  }
+  const text = (len) => b4a.toString(rng.bytes(Math.ceil(len / 2)), "hex").slice(0, len)
+
+  const keypair = rng.keypair()
+  const recipient = rng.keypair().publicKey
+  const fixtures = {
+    keypair,
+    recipient,
+    reqid: rng.bytes(constants.REQID_SIZE),
+    cancelid: rng.bytes(constants.REQID_SIZE),
+    links: hashes(2),
+    hashes: hashes(16),
+    channel: "default",
+    channels: ["default", "dev", "introduction", "random"],
+    text: text(200 + rng.int(200)),
+    topic: text(64),
+    name: text(16),
+    batch: []
+  }
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    fixtures.batch.push(cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, hashes(1), fixtures.channel, TIMESTAMP + i, text(20 + rng.int(300))))
+  }
+  return fixtures
+}
+
+// returns a function creating a buffer of every post and message type, keyed by the type's name
+function creators (f) {
+  const { publicKey, secretKey } = f.keypair
+  return {
+    HASH_RESPONSE: () => cable.HASH_RESPONSE.create(f.reqid, f.hashes),
+    POST_RESPONSE: () => cable.POST_RESPONSE.create(f.reqid, f.batch),
+    CHANNEL_LIST_RESPONSE: () => cable.CHANNEL_LIST_RESPONSE.create(f.reqid, f.channels),
+    POST_REQUEST: () => cable.POST_REQUEST.create(f.reqid, 3, f.hashes),
+    CANCEL_REQUEST: () => cable.CANCEL_REQUEST.create(f.reqid, 0, f.cancelid),
+    TIME_RANGE_REQUEST: () => cable.TIME_RANGE_REQUEST.create(f.reqid, 3, f.channel, TIMESTAMP, TIMESTAMP + 3600000, 100),
+    CHANNEL_STATE_REQUEST: () => cable.CHANNEL_STATE_REQUEST.create(f.reqid, 3, f.channel, 1),
+    CHANNEL_LIST_REQUEST: () => cable.CHANNEL_LIST_REQUEST.create(f.reqid, 3, 0, 20),
+    MODERATION_STATE_REQUEST: () => cable.MODERATION_STATE_REQUEST.create(f.reqid, 3, f.channels, 1, TIMESTAMP),
+    TEXT_POST: () => cable.TEXT_POST.create(publicKey, secretKey, f.links, f.channel, TIMESTAMP, f.text),
+    DELETE_POST: () => cable.DELETE_POST.create(publicKey, secretKey, f.links, TIMESTAMP, f.hashes.slice(0, 4)),
+    INFO_POST: () => cable.INFO_POST.create(publicKey, secretKey, f.links, TIMESTAMP, [["name", f.name]]),
+    TOPIC_POST: () => cable.TOPIC_POST.create(publicKey, secretKey, f.links, f.channel, TIMESTAMP, f.topic),
+    JOIN_POST: () => cable.JOIN_POST.create(publicKey, secretKey, f.links, f.channel, TIMESTAMP),
+    LEAVE_POST: () => cable.LEAVE_POST.create(publicKey, secretKey, f.links, f.channel, TIMESTAMP),
+    ROLE_POST: () => cable.ROLE_POST.create(publicKey, secretKey, f.links, f.channel, TIMESTAMP, f.recipient, constants.MOD_FLAG, "", 0),
+    MODERATION_POST: () => cable.MODERATION_POST.create(publicKey, secretKey, f.links, f.channel, TIMESTAMP, f.hashes.slice(0, 2), constants.ACTION_HIDE_POST, "spam", 0),
+    BLOCK_POST: () => cable.BLOCK_POST.create(publicKey, secretKey, f.links, TIMESTAMP, [f.recipient], 1, 1, "", 0),
+    UNBLOCK_POST: () => cable.UNBLOCK_POST.create(publicKey, secretKey, f.links, TIMESTAMP, [f.recipient], 1, "", 0)
+  }
+}
+
+const MESSAGE_TYPES = ["HASH_RESPONSE", "POST_RESPONSE", "CHANNEL_LIST_RESPONSE", "POST_REQUEST", "CANCEL_REQUEST", "TIME_RANGE_REQUEST", "CHANNEL_STATE_REQUEST", "CHANNEL_LIST_REQUEST", "MODERATION_STATE_REQUEST"]
+const POST_TYPES = ["TEXT_POST", "DELETE_POST", "INFO_POST", "TOPIC_POST", "JOIN_POST", "LEAVE_POST", "ROLE_POST", "MODERATION_POST", "BLOCK_POST", "UNBLOCK_POST"]
+
+// returns the list of benchmarks as [{ name, fn }]. names are `<group>/<subject>`, making it easy to select a
+// group with --filter
+function createCases (seed) {
+  const f = createFixtures(seed)
+  const create = creators(f)
+  const bufs = {}
+  for (const name in create) { bufs[name] = create[name]() }
+
+  const cases = []
+  const add = (name, fn) => cases.push({ name, fn })
+  for (const name of MESSAGE_TYPES.concat(POST_TYPES)) {
+    add(`create/${name}`, create[name])
+  }
+  for (const name of MESSAGE_TYPES.concat(POST_TYPES)) {
+    add(`toJSON/${name}`, () => cable[name].toJSON(bufs[name]))
+  }
+  for (const name of MESSAGE_TYPES) {
+    add(`parseMessage/${name}`, () => cable.parseMessage(bufs[name]))
+  }
+  for (const name of POST_TYPES) {
+    add(`parsePost/${name}`, () => cable.parsePost(bufs[name]))
+  }
+  add("peek/peekMessage", () => cable.peekMessage(bufs.POST_REQUEST))
+  add("peek/peekReqid", () => cable.peekReqid(bufs.POST_REQUEST))
+  add("peek/peekPost", () => cable.peekPost(bufs.TEXT_POST))
+  add("signature/sign", () => crypto.sign(bufs.TEXT_POST, f.keypair.secretKey))
+  add("signature/checkSignature", () => validation.checkSignature(bufs.TEXT_POST, f.keypair.publicKey))
+  add("signature/hash", () => crypto.hash(bufs.TEXT_POST))
+  // decoding a whole sync batch: the response itself, followed by every post it contains
+  add(`batch/POST_RESPONSE+parsePost x${BATCH_SIZE}`, () => {
+    const { posts } = cable.POST_RESPONSE.toJSON(bufs.POST_RESPONSE)
+    for (const post of posts) { cable.parsePost(post) }
+  })
+  return cases
+}
+
+module.exports = {
+  createFixtures,
+  createCases
+}
@@ -0,0 +1,80 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const b4a = require("b4a")
+const sodium = require("sodium-universal")
+
+// deterministic source of bytes, so that every run benchmarks the exact same inputs. each call to bytes() hashes
+// the seed together with a counter and expands the result with libsodium's deterministic randombytes
+class SeededRandom {
+  constructor (seed) {
+    this.seed = b4a.alloc(sodium.randombytes_SEEDBYTES)
+    sodium.crypto_generichash(this.seed, b4a.from(String(seed)))
+    this.counter = 0
+  }
+
+  bytes (len) {
+    const blockSeed = b4a.alloc(sodium.randombytes_SEEDBYTES)
+    const counter = b4a.alloc(4)
+    counter.writeUInt32LE(this.counter++)
+    sodium.crypto_generichash(blockSeed, b4a.concat([this.seed, counter]))
+    const out = b4a.alloc(len)
+    sodium.randombytes_buf_deterministic(out, blockSeed)
+    return out
+  }
+
+  // integer in [0, max)
+  int (max) {
+    return this.bytes(4).readUInt32LE() % max
+  }
+
+  keypair () {
+    const publicKey = b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES)
+    const secretKey = b4a.alloc(sodium.crypto_sign_SECRETKEYBYTES)
+    sodium.crypto_sign_seed_keypair(publicKey, secretKey, this.bytes(sodium.crypto_sign_SEEDBYTES))
+    return { publicKey, secretKey }
+  }
+}
+
+// calls fn in batches until at least `time` milliseconds have been spent, after a warmup of a tenth of that. the
+// batch size grows until a single batch takes a measurable amount of time, which keeps the cost of reading the
+// clock out of the numbers for fast operations
+function measure (name, fn, opts) {
+  const time = (opts && opts.time) || 500
+  run(fn, time / 10)
+  const { ops, elapsedNs } = run(fn, time)
+  const nsPerOp = elapsedNs / ops
+  return {
+    name,
+    ops,
+    elapsedMs: round(elapsedNs / 1e6),
+    opsPerSec: Math.round(1e9 / nsPerOp),
+    nsPerOp: Math.round(nsPerOp)
+  }
+}
+
+function run (fn, time) {
+  const budgetNs = time * 1e6
+  let batch = 1
+  let ops = 0
+  let elapsedNs = 0
+  while (elapsedNs < budgetNs) {
+    const start = process.hrtime.bigint()
+    for (let i = 0; i < batch; i++) { fn() }
+    const batchNs = Number(process.hrtime.bigint() - start)
+    elapsedNs += batchNs
+    ops += batch
+    if (batchNs < budgetNs / 50) { batch *= 2 }
+  }
+  return { ops, elapsedNs }
+}
+
+function round (n) {
+  return Math.round(n * 100) / 100
+}
+
+module.exports = {
+  SeededRandom,
+  measure
+}
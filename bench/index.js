@@ -0,0 +1,58 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// usage: node bench/index.js [--json] [--seed <seed>] [--time <ms>] [--filter <substring>]
+//
+// --json      print the results as a single json document instead of a table
+// --seed      seed the inputs are generated from (default: "cable"). the same seed always benchmarks the same bytes
+// --time      milliseconds to spend on each benchmark (default: 500)
+// --filter    only run benchmarks whose name contains the given string, e.g. "toJSON/" or "POST_RESPONSE"
+const { measure } = require("./harness.js")
+const { createCases } = require("./cases.js")
+const pkg = require("../package.json")
+
+function parseArgs (argv) {
+  const args = { json: false, seed: "cable", time: 500, filter: "" }
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--json":
+        args.json = true
+        break
+      case "--seed":
+        args.seed = argv[++i]
+        break
+      case "--time":
+        args.time = parseInt(argv[++i], 10)
+        break
+      case "--filter":
+        args.filter = argv[++i]
+        break
+      default:
+        throw new Error(`unknown argument ${argv[i]}`)
+    }
+  }
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+const cases = createCases(args.seed).filter(c => c.name.includes(args.filter))
+const results = []
+for (const c of cases) {
+  const result = measure(c.name, c.fn, { time: args.time })
+  results.push(result)
+  if (!args.json) {
+    console.log(`${result.name.padEnd(48)} ${String(result.opsPerSec).padStart(10)} ops/s ${String(result.nsPerOp).padStart(10)} ns/op`)
+  }
+}
+
+if (args.json) {
+  console.log(JSON.stringify({
+    version: pkg.version,
+    node: process.version,
+    platform: `${process.platform}-${process.arch}`,
+    seed: args.seed,
+    time: args.time,
+    results
+  }, null, 2))
+}
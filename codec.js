@@ -0,0 +1,818 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// every post and message type is described by a schema (see schemas.js): the list of its fields, in the order they
+// appear on the wire. this file holds the field kinds a schema is built from, and derives encoding, decoding, size
+// calculation and validation of a whole type from its schema.
+//
+// a field is a plain object with the following members:
+//
+//   name                          key of the field in the decoded object, and in the values passed to encode()
+//   prepare(value)                type checks and validates a value about to be encoded. returns what size() and
+//                                 write() operate on, e.g. the utf-8 bytes of a string
+//   size(prepared)                number of bytes the field occupies on the wire
+//   write(prepared, buf, offset)  writes the field and returns the offset following it
+//   read(buf, offset, obj, ctx)   decodes the field into obj[name] and returns the offset following it. ctx holds
+//                                 the decoding limits (see decodeLimits), whether to verify signatures and the
+//                                 verification cache to consult, if any (see verification-cache.js)
+const b4a = require("b4a")
+const varint = require("varint")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const validation = require("./validation.js")
+const { checkSignatureCached } = require("./verification-cache.js")
+const { CableEncodeError, CableDecodeError, CableValidationError, codes } = require("./errors.js")
+
+const EMPTY_CIRCUIT_ID = b4a.alloc(constants.CIRCUITID_SIZE, 0)
+
+// errors caused by calling a create() function incorrectly (see errors.js)
+function arrayExpected (message, param, actual) {
+  return new CableEncodeError(message, { code: codes.INVALID_TYPE, field: param, actual: describe(actual) })
+}
+function bufferExpected (param, size, actual) {
+  return new CableEncodeError(`expected ${param} to be a buffer of size ${size}`, { code: codes.INVALID_TYPE, field: param, expected: size, actual: describe(actual) })
+}
+function integerExpected (param, actual) {
+  return new CableEncodeError(`expected ${param} to be an integer`, { code: codes.INVALID_TYPE, field: param, expected: "integer", actual: describe(actual) })
+}
+function stringExpected (param, actual) {
+  return new CableEncodeError(`expected ${param} to be a string`, { code: codes.INVALID_TYPE, field: param, expected: "string", actual: describe(actual) })
+}
+function wrongNumberArguments(count, actual, functionSignature) {
+ return new CableEncodeError(`${functionSignature} expected ${count} arguments but received ${actual}`, { code: codes.ARGUMENT_COUNT, expected: count, actual })
+}
+
+// errors caused by values outside of what the spec allows
+function unknownInfoKey (key) {
+  return new CableValidationError(`expected post/info key to be either 'name' or 'accept-role'; was ${key}`, { code: codes.UNKNOWN_VALUE, field: "key", expected: ["name", "accept-role"], actual: key })
+}
+function duplicateInfoKey (key) {
+  return new CableValidationError(`expected post/info keys to be unique; ${key} appeared more than once`, { code: codes.DUPLICATE_VALUE, field: "key", actual: key })
+}
+function unknownAction (action) {
+  return new CableValidationError(`'action' had value of unknown constant: ${action}`, { code: codes.UNKNOWN_VALUE, field: "action", actual: action })
+}
+function emptyRecipientsExpected (actual) {
+  return new CableValidationError("expected recipients to be length zero", { code: codes.OUT_OF_RANGE, field: "recipients", expected: 0, actual })
+}
+function ttlRangeExpected (param) {
+  return new CableValidationError(`expected ttl to be between 0 and 16, was ${param}`, { code: codes.OUT_OF_RANGE, field: "ttl", expected: [0, 16], actual: param })
+}
+
+// errors caused by buffers that can't be decoded
+function msgLenMismatch (msgLen, actual) {
+  return new CableDecodeError(`expected remaining buf to be a buffer of size ${msgLen}; was ${actual}`, { code: codes.LENGTH_MISMATCH, field: "msgLen", expected: msgLen, actual })
+}
+function truncatedExpected (param) {
+  return new CableDecodeError(`expected buffer to contain the complete ${param}`, { code: codes.TRUNCATED, field: param })
+}
+function wrongMsgType (actual, expectedName) {
+  return new CableDecodeError(`decoded msgType (${actual}) is not of expected type (constants.${expectedName})`, { code: codes.WRONG_TYPE, field: "msgType", expected: constants[expectedName], actual })
+}
+function wrongPostType (actual, expectedName) {
+  return new CableDecodeError(`decoded postType (${actual}) is not of expected type (constants.${expectedName})`, { code: codes.WRONG_TYPE, field: "postType", expected: constants[expectedName], actual })
+}
+
+// summarizes a value for the `actual` field of an error without holding on to e.g. large buffers
+function describe (value) {
+  if (b4a.isBuffer(value)) { return `buffer of size ${value.length}` }
+  if (Array.isArray(value)) { return `array of length ${value.length}` }
+  if (typeof value === "number") { return value }
+  return value === null ? "null" : typeof value
+}
+
+// FIELD KINDS
+
+// a varint holding a non-negative integer. opts.check, if set, validates the value both before encoding and after
+// decoding it
+function varintField (name, opts) {
+  const check = opts && opts.check
+  return {
+    name,
+    prepare (value) {
+      if (!isNonNegativeInteger(value)) { throw integerExpected(name, value) }
+      if (check) { check(value) }
+      return value
+    },
+    size: (value) => varint.encodingLength(value),
+    write: (value, buf, offset) => offset + writeVarint(value, buf, offset),
+    read (buf, offset, obj) {
+      const decoded = decodeVarint(buf, offset)
+      if (check) { check(decoded.value) }
+      obj[name] = decoded.value
+      return offset + decoded.bytes
+    }
+  }
+}
+
+// the varint identifying the type of a message or post, e.g. msgType or postType. it is always `value`: encoding
+// ignores whatever value it is passed, while decoding any other value is an error
+function typeField (name, value, typeName) {
+  const wrongType = name === "msgType" ? wrongMsgType : wrongPostType
+  return {
+    name,
+    prepare: () => value,
+    size: () => varint.encodingLength(value),
+    write: (_, buf, offset) => offset + writeVarint(value, buf, offset),
+    read (buf, offset, obj) {
+      const decoded = decodeVarint(buf, offset)
+      if (decoded.value !== value) { throw wrongType(decoded.value, typeName) }
+      obj[name] = value
+      return offset + decoded.bytes
+    }
+  }
+}
+
+// a buffer of exactly `size` bytes, e.g. a reqid or a public key
+function bytesField (name, size) {
+  return {
+    name,
+    prepare (value) {
+      if (!isBufferSize(value, size)) { throw bufferExpected(name, size, value) }
+      return value
+    },
+    size: () => size,
+    write: (value, buf, offset) => offset + b4a.copy(value, buf, offset),
+    read (buf, offset, obj) {
+      checkRemaining(buf, offset, size, name)
+      obj[name] = buf.slice(offset, offset + size)
+      return offset + size
+    }
+  }
+}
+
+// the circuitid of a message (unused spec rev 2023-04): always written as zeroes, and skipped when decoding
+const circuitField = {
+  name: "circuitid",
+  prepare: () => EMPTY_CIRCUIT_ID,
+  size: () => constants.CIRCUITID_SIZE,
+  write: (value, buf, offset) => offset + b4a.copy(value, buf, offset),
+  read: (buf, offset) => offset + constants.CIRCUITID_SIZE
+}
+
+// the signature of a post. encoding leaves room for it, to be filled in by encode() once the rest of the post has
+// been written. decoding verifies it straight away, before anything following it is read, unless decoding was
+// passed { verify: false }. with a verification cache, posts it holds the hash of aren't verified again
+const signatureField = {
+  name: "signature",
+  prepare: () => null,
+  size: () => constants.SIGNATURE_SIZE,
+  write: (_, buf, offset) => offset + constants.SIGNATURE_SIZE,
+  read (buf, offset, obj, ctx) {
+    checkRemaining(buf, offset, constants.SIGNATURE_SIZE, "signature")
+    obj.signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
+    if (ctx.verify && ctx.cache) {
+      checkSignatureCached(buf, obj.publicKey, ctx.cache)
+    } else if (ctx.verify) {
+      validation.checkSignature(buf, obj.publicKey)
+    }
+    return offset + constants.SIGNATURE_SIZE
+  }
+}
+
+// a string, prefixed with the varint length of its utf-8 encoding. opts.check validates the utf-8 bytes. with
+// opts.optional set, an empty string is always allowed and skips opts.check
+function stringField (name, opts) {
+  const check = (valueBuf) => {
+    if (opts.optional && valueBuf.length === 0) { return }
+    opts.check(valueBuf)
+  }
+  return {
+    name,
+    prepare (value) {
+      if (!isString(value)) { throw stringExpected(name, value) }
+      // convert to buf: yields correct length wrt utf-8 bytes + used when copying
+      const valueBuf = b4a.from(value, "utf8")
+      check(valueBuf)
+      return valueBuf
+    },
+    size: (valueBuf) => varint.encodingLength(valueBuf.length) + valueBuf.length,
+    write (valueBuf, buf, offset) {
+      offset += writeVarint(valueBuf.length, buf, offset)
+      return offset + b4a.copy(valueBuf, buf, offset)
+    },
+    read (buf, offset, obj) {
+      const decoded = decodeVarint(buf, offset)
+      offset += decoded.bytes
+      checkRemaining(buf, offset, decoded.value, name)
+      const valueBuf = buf.slice(offset, offset + decoded.value)
+      check(valueBuf)
+      obj[name] = b4a.toString(valueBuf, "utf8")
+      return offset + decoded.value
+    }
+  }
+}
+
+// a varint count, followed by that many buffers of opts.entrySize bytes each, e.g. links or hashes
+//
+// opts.expected   error message for a value that isn't an array of such buffers
+// opts.limit      function returning the largest count accepted when decoding, given the decoding limits
+// opts.check      optional validation of the whole array, both before encoding and after decoding
+function listField (name, opts) {
+  return {
+    name,
+    prepare (value) {
+      if (!isArrayCheck(value, (entry) => isBufferSize(entry, opts.entrySize))) { throw arrayExpected(opts.expected, name, value) }
+      if (opts.check) { opts.check(value) }
+      return value
+    },
+    size: (value) => varint.encodingLength(value.length) + value.length * opts.entrySize,
+    write (value, buf, offset) {
+      offset += writeVarint(value.length, buf, offset)
+      for (const entry of value) { offset += b4a.copy(entry, buf, offset) }
+      return offset
+    },
+    read (buf, offset, obj, ctx) {
+      const decoded = decodeVarint(buf, offset)
+      const count = decoded.value
+      offset += decoded.bytes
+      checkCount(buf, offset, count, opts.entrySize, opts.limit(ctx.limits), name)
+      const entries = []
+      for (let i = 0; i < count; i++) {
+        entries.push(buf.slice(offset, offset + opts.entrySize))
+        offset += opts.entrySize
+      }
+      if (opts.check) { opts.check(entries) }
+      obj[name] = entries
+      return offset
+    }
+  }
+}
+
+// a list of entries, each prefixed with its varint length, ended by a length of zero. e.g. the posts of a
+// POST_RESPONSE, or a list of channels
+//
+// opts.entry      name of a single entry, used in errors about a truncated entry
+// opts.expected   error message for a value that isn't an array of opts.strings ? strings : buffers
+// opts.strings    entries are utf-8 strings rather than buffers
+// opts.check      optional validation of each entry's bytes, both before encoding and after decoding
+// opts.unwrap     optional function turning each entry passed in for encoding into the string or buffer to encode
+function terminatedListField (name, opts) {
+  const isEntry = opts.strings ? isString : b4a.isBuffer
+  return {
+    name,
+    prepare (value) {
+      if (opts.unwrap && Array.isArray(value)) { value = value.map(opts.unwrap) }
+      if (!isArrayCheck(value, isEntry)) { throw arrayExpected(opts.expected, name, value) }
+      return value.map(entry => {
+        const entryBuf = opts.strings ? b4a.from(entry, "utf8") : entry
+        if (opts.check) { opts.check(entryBuf) }
+        return entryBuf
+      })
+    },
+    size: (entryBufs) => entryBufs.reduce((acc, entryBuf) => acc + varint.encodingLength(entryBuf.length) + entryBuf.length, 1),
+    write (entryBufs, buf, offset) {
+      for (const entryBuf of entryBufs) {
+        offset += writeVarint(entryBuf.length, buf, offset)
+        offset += b4a.copy(entryBuf, buf, offset)
+      }
+      // signal the end of the list with a length of zero
+      return offset + writeVarint(0, buf, offset)
+    },
+    read (buf, offset, obj) {
+      const entries = []
+      while (true) {
+        const decoded = decodeVarint(buf, offset)
+        offset += decoded.bytes
+        if (decoded.value === 0) { break }
+        checkRemaining(buf, offset, decoded.value, opts.entry)
+        const entryBuf = buf.slice(offset, offset + decoded.value)
+        offset += decoded.value
+        if (opts.check) { opts.check(entryBuf) }
+        entries.push(opts.strings ? b4a.toString(entryBuf, "utf8") : entryBuf)
+      }
+      obj[name] = entries
+      return offset
+    }
+  }
+}
+
+// the key-value pairs of a post/info: each key and value prefixed with its varint length, ended by a key length of
+// zero. encoding takes any iterable of [key, value] pairs, e.g. an array of pairs or a Map. decoding returns a Map
+function infoField (name) {
+  return {
+    name,
+    prepare (pairs) {
+      if (pairs === null || typeof pairs !== "object" || typeof pairs[Symbol.iterator] !== "function") {
+        throw arrayExpected(`expected ${name} to contain [key, value] pairs`, name, pairs)
+      }
+      const kvBufs = []
+      // decoding collects the pairs into a Map: a repeated key would be lost, and the post would not re-encode to the
+      // bytes it was signed as
+      const keys = new Set()
+      for (const [key, value] of pairs) {
+        if (!isString(key)) { throw stringExpected("key", key) }
+        if (keys.has(key)) { throw duplicateInfoKey(key) }
+        keys.add(key)
+        const keyBuf = b4a.from(key, "utf8")
+        validation.checkInfoKey(keyBuf)
+        // fill the value buf conditionally on which key it is the value for
+        let valueBuf
+        switch (key) {
+          case "name":
+            if (!isString(value)) { throw stringExpected("value", value) }
+            valueBuf = b4a.from(value, "utf8")
+            validation.checkUsername(valueBuf)
+            break
+          case "accept-role":
+            if (!isNonNegativeInteger(value)) { throw integerExpected("value", value) }
+            valueBuf = encodeVarintBuffer(value)
+            validation.checkAcceptRole(valueBuf)
+            break
+          default:
+            throw unknownInfoKey(key)
+        }
+        validation.checkInfoValue(valueBuf)
+        kvBufs.push([keyBuf, valueBuf])
+      }
+      return kvBufs
+    },
+    size: (kvBufs) => kvBufs.reduce((acc, [keyBuf, valueBuf]) => {
+      return acc + varint.encodingLength(keyBuf.length) + keyBuf.length + varint.encodingLength(valueBuf.length) + valueBuf.length
+    }, 1),
+    write (kvBufs, buf, offset) {
+      for (const [keyBuf, valueBuf] of kvBufs) {
+        offset += writeVarint(keyBuf.length, buf, offset)
+        offset += b4a.copy(keyBuf, buf, offset)
+        offset += writeVarint(valueBuf.length, buf, offset)
+        offset += b4a.copy(valueBuf, buf, offset)
+      }
+      // signal the end of the key-value list by writing a key length of zero
+      return offset + writeVarint(0, buf, offset)
+    },
+    read (buf, offset, obj) {
+      const info = new Map()
+      while (true) {
+        let decoded = decodeVarint(buf, offset)
+        offset += decoded.bytes
+        if (decoded.value === 0) { break }
+        checkRemaining(buf, offset, decoded.value, "key")
+        const keyBuf = buf.slice(offset, offset + decoded.value)
+        offset += decoded.value
+        validation.checkInfoKey(keyBuf)
+        const key = b4a.toString(keyBuf, "utf8")
+        if (info.has(key)) { throw duplicateInfoKey(key) }
+
+        decoded = decodeVarint(buf, offset)
+        offset += decoded.bytes
+        checkRemaining(buf, offset, decoded.value, "value")
+        const valueBuf = buf.slice(offset, offset + decoded.value)
+        offset += decoded.value
+        validation.checkInfoValue(valueBuf)
+        switch (key) {
+          case "name":
+            validation.checkUsername(valueBuf)
+            info.set(key, b4a.toString(valueBuf, "utf8"))
+            break
+          case "accept-role":
+            validation.checkAcceptRole(valueBuf)
+            info.set(key, decodeVarint(valueBuf, 0).value)
+            break
+          default:
+            throw unknownInfoKey(key)
+        }
+      }
+      obj[name] = info
+      return offset
+    }
+  }
+}
+
+// SCHEMAS
+
+// a message schema: msgLen is followed by msgType, circuitid and reqid, which every message starts with, and then
+// `fields`. `args` lists the arguments of the type's create() function, by field name
+function messageSchema (name, args, fields, hooks) {
+  return Object.assign({
+    kind: "message",
+    name,
+    args,
+    fields: [
+      typeField("msgType", constants[name], name),
+      circuitField,
+      bytesField("reqid", constants.REQID_SIZE),
+      ...fields
+    ]
+  }, hooks)
+}
+
+// a post schema: every post starts with its author's public key, a signature, links, the postType and a timestamp,
+// which are followed by `fields`. `args` lists the arguments of the type's create() function, by field name; besides
+// the fields, posts take the secretKey they are signed with
+function postSchema (name, args, fields, hooks) {
+  return Object.assign({
+    kind: "post",
+    name,
+    addHashes: addPostHash,
+    args,
+    fields: [
+      bytesField("publicKey", constants.PUBLICKEY_SIZE),
+      signatureField,
+      listField("links", {
+        entrySize: constants.HASH_SIZE,
+        expected: "expected links to contain an array of hash-sized buffers",
+        limit: (limits) => limits.maxLinks
+      }),
+      typeField("postType", constants[name], name),
+      varintField("timestamp"),
+      ...fields
+    ]
+  }, hooks)
+}
+
+// the hash of a post is the hash of all of its bytes, signature included
+function addPostHash (obj, buf) {
+  obj.hash = crypto.hash(buf)
+}
+
+// ENCODING AND DECODING
+
+// encodes the create() arguments `args` (e.g. the `arguments` of a create() function) according to `schema`
+function encodeArgs (schema, args) {
+  return encode(schema, argValues(schema.args, args))
+}
+
+// like encodeArgs(), but returns a promise and accepts signers whose sign() returns a promise
+async function encodeArgsAsync (schema, args) {
+  return encodeAsync(schema, argValues(schema.args, args))
+}
+
+// encodes the createUnsigned() arguments `args` of a post, i.e. its create() arguments without secretKey
+function encodeUnsignedArgs (schema, args) {
+  const names = schema.args.filter(name => name !== "secretKey")
+  return encodeUnsigned(schema, argValues(names, args, "createUnsigned"))
+}
+
+function argValues (names, args, fn) {
+  if (args.length !== names.length) {
+    throw wrongNumberArguments(names.length, args.length, `${fn || "create"}(${names.join(", ")})`)
+  }
+  const values = {}
+  names.forEach((name, i) => { values[name] = args[i] })
+  return values
+}
+
+// encodes the options object passed to a build() function: the create() arguments of `schema` by name. left out
+// arguments fall back to defaults: a fresh reqid and a ttl of 0 (not forwarded past the peer) for messages, and for
+// posts no links, the current time, an empty reason and a privacy of 0. posts may pass opts.keypair, or opts.signer (see signers.js), in place of publicKey and
+// secretKey. unknown options are rejected, so that a misspelled option doesn't silently fall back to its default
+function encodeOptions (schema, opts) {
+  return encode(schema, optionValues(schema, opts))
+}
+
+// like encodeOptions(), but returns a promise and accepts signers whose sign() returns a promise
+async function encodeOptionsAsync (schema, opts) {
+  return encodeAsync(schema, optionValues(schema, opts))
+}
+
+// like encodeOptions(), but encodes a post without signing it (see encodeUnsigned)
+function encodeUnsignedOptions (schema, opts) {
+  return encodeUnsigned(schema, optionValues(schema, opts))
+}
+
+function optionValues (schema, opts) {
+  if (opts === null || typeof opts !== "object") {
+    throw new CableEncodeError(`build() expected an options object; was ${describe(opts)}`, { code: codes.INVALID_TYPE, actual: describe(opts) })
+  }
+  for (const key in opts) {
+    if (schema.args.includes(key) || (schema.kind === "post" && (key === "keypair" || key === "signer"))) { continue }
+    throw new CableEncodeError(`build() received unknown option ${key}; expected one of ${schema.args.join(", ")}`, { code: codes.INVALID_TYPE, field: key, expected: schema.args })
+  }
+  if (schema.kind === "message") {
+    // responses carry no ttl
+    const defaults = schema.args.includes("ttl") ? { reqid: crypto.generateReqID(), ttl: 0 } : { reqid: crypto.generateReqID() }
+    return Object.assign(defaults, opts)
+  }
+  let defaults = { publicKey: undefined, secretKey: undefined }
+  if (opts.signer) {
+    defaults = { publicKey: opts.signer.publicKey, secretKey: opts.signer }
+  } else if (opts.keypair) {
+    defaults = { publicKey: opts.keypair.publicKey, secretKey: opts.keypair.secretKey }
+  }
+  return Object.assign(defaults, {
+    links: [],
+    timestamp: Date.now(),
+    reason: "",
+    privacy: 0
+  }, opts)
+}
+
+// encodes `values`, an object holding a value for each field of `schema`, into an exactly-sized buffer. messages
+// are prefixed with their msgLen. posts are signed with values.secretKey, which is either a secret key or a signer
+// (see signers.js) whose sign() returns a signature right away; use encodeAsync() for signers returning a promise.
+// without a secretKey, posts carry values.signature as is: that signature must then verify against the encoded
+// post, which holds as long as values is a decoded post that hasn't been changed.
+//
+// schemas may define checkEncode(values), called before any field is prepared, for rules spanning several fields
+function encode (schema, values) {
+  const buf = encodeFields(schema, values)
+  if (schema.kind === "message") { return buf }
+  const signature = signPost(buf, values)
+  if (isPromise(signature)) {
+    // the signature is discarded: keep a signer that later rejects from raising an unhandled rejection
+    signature.then(null, () => {})
+    throw new CableEncodeError("expected signer to return a signature synchronously; use createAsync() for signers returning a promise", { code: codes.INVALID_TYPE, field: "secretKey", actual: "promise" })
+  }
+  return writeSignature(buf, signature, values.publicKey)
+}
+
+// like encode(), but returns a promise and accepts signers whose sign() returns a promise
+async function encodeAsync (schema, values) {
+  const buf = encodeFields(schema, values)
+  if (schema.kind === "message") { return buf }
+  return writeSignature(buf, await signPost(buf, values), values.publicKey)
+}
+
+// encodes a post without signing it: its signature is left zeroed out, to be filled in later (see writeSignature)
+function encodeUnsigned (schema, values) {
+  return encodeFields(schema, values, true)
+}
+
+// encodes every field of `values`, leaving the signature of a post zeroed out. unless `unsigned` is set, posts must
+// come with the means to sign them
+function encodeFields (schema, values, unsigned) {
+  if (values === null || typeof values !== "object") {
+    throw new CableEncodeError(`expected ${schema.name} to be encoded from an object`, { code: codes.INVALID_TYPE, actual: describe(values) })
+  }
+  if (schema.kind === "post" && !unsigned && !isSigner(values.secretKey) && !isBufferSize(values.secretKey, constants.SECRETKEY_SIZE) &&
+    !(values.secretKey === undefined && isBufferSize(values.signature, constants.SIGNATURE_SIZE))) {
+    throw bufferExpected("secretKey", constants.SECRETKEY_SIZE, values.secretKey)
+  }
+  if (schema.checkEncode) { schema.checkEncode(values) }
+  const prepared = new Array(schema.fields.length)
+  let size = 0
+  for (let i = 0; i < schema.fields.length; i++) {
+    const field = schema.fields[i]
+    prepared[i] = field.prepare(values[field.name])
+    size += field.size(prepared[i])
+  }
+
+  if (schema.kind === "message") {
+    const buf = b4a.alloc(varint.encodingLength(size) + size)
+    writeFields(schema, prepared, buf, writeVarint(size, buf, 0))
+    return buf
+  }
+  const buf = b4a.alloc(size)
+  writeFields(schema, prepared, buf, 0)
+  return buf
+}
+
+// returns the signature for an encoded post (or a promise of it, depending on the signer): values.signature when
+// re-encoding a decoded post, or whatever values.secretKey produces for the signed part of buf
+function signPost (buf, values) {
+  if (values.secretKey === undefined) { return values.signature }
+  const payload = buf.subarray(constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE)
+  if (isSigner(values.secretKey)) { return values.secretKey.sign(payload) }
+  return crypto.signDetached(payload, values.secretKey)
+}
+
+// writes signature into the encoded post buf, and checks that it verifies against publicKey
+function writeSignature (buf, signature, publicKey) {
+  if (!isBufferSize(signature, constants.SIGNATURE_SIZE)) {
+    throw new CableEncodeError(`expected signer to return a buffer of size ${constants.SIGNATURE_SIZE}`, { code: codes.INVALID_TYPE, field: "signature", expected: constants.SIGNATURE_SIZE, actual: describe(signature) })
+  }
+  b4a.copy(signature, buf, constants.PUBLICKEY_SIZE)
+  validation.checkSignature(buf, publicKey)
+  return buf
+}
+
+function writeFields (schema, prepared, buf, offset) {
+  for (let i = 0; i < schema.fields.length; i++) {
+    offset = schema.fields[i].write(prepared[i], buf, offset)
+  }
+  return offset
+}
+
+// decodes `buf` according to `schema`, returning an object with a key for each field (and msgLen, for messages).
+// takes the same opts as every toJSON(): lenient, allowTrailingBytes, verify, cache, hash and the decoding limits.
+//
+// schemas may define checkDecode(obj), called once every field has been decoded, for rules spanning several fields,
+// and addHashes(obj, buf), called with the decoded bytes when decoding was passed { hash: true }
+function decode (schema, buf, opts) {
+  if (opts && opts.lenient) { return decodeLeniently((buf, opts) => decode(schema, buf, opts), buf, opts) }
+  const ctx = { limits: decodeLimits(opts), verify: !(opts && opts.verify === false), cache: decodeCache(opts) }
+  const obj = {}
+  let offset = 0
+  if (schema.kind === "message") {
+    const decoded = decodeVarint(buf, 0)
+    obj.msgLen = decoded.value
+    offset += decoded.bytes
+    checkMsgLen(buf, offset, obj.msgLen, ctx.limits)
+  }
+  for (const field of schema.fields) {
+    offset = field.read(buf, offset, obj, ctx)
+  }
+  if (schema.checkDecode) { schema.checkDecode(obj) }
+  checkConsumed(buf, offset, schema.name, opts)
+  if (opts && opts.hash && schema.addHashes) { schema.addHashes(obj, buf.subarray(0, offset)) }
+  return obj
+}
+
+// runs a decoder in { lenient: true } mode: instead of throwing, the outcome is returned as { ok, value, error }
+function decodeLeniently (decode, buf, opts) {
+  try {
+    return { ok: true, value: decode(buf, Object.assign({}, opts, { lenient: false })), error: null }
+  } catch (err) {
+    return { ok: false, value: null, error: err }
+  }
+}
+
+const DEFAULT_LIMITS = {
+  maxMessageSize: constants.MESSAGE_MAX_BYTES,
+  maxLinks: constants.DECODE_MAX_LINKS,
+  maxHashes: constants.DECODE_MAX_HASHES
+}
+
+// returns the limits to apply when decoding: the defaults, overridden by any of opts.maxMessageSize, opts.maxLinks
+// and opts.maxHashes
+function decodeLimits (opts) {
+  if (!opts) { return DEFAULT_LIMITS }
+  return {
+    maxMessageSize: opts.maxMessageSize === undefined ? DEFAULT_LIMITS.maxMessageSize : opts.maxMessageSize,
+    maxLinks: opts.maxLinks === undefined ? DEFAULT_LIMITS.maxLinks : opts.maxLinks,
+    maxHashes: opts.maxHashes === undefined ? DEFAULT_LIMITS.maxHashes : opts.maxHashes
+  }
+}
+
+// returns the verification cache passed as opts.cache, if any: a VerificationCache, or any object with the same
+// has(hash) and add(hash) methods
+function decodeCache (opts) {
+  if (!opts || opts.cache === undefined || opts.cache === null) { return null }
+  if (typeof opts.cache.has !== "function" || typeof opts.cache.add !== "function") {
+    throw new CableDecodeError("expected cache to be a VerificationCache", { code: codes.INVALID_TYPE, field: "cache" })
+  }
+  return opts.cache
+}
+
+// throws unless buf holds at least `size` more bytes, starting at offset
+function checkRemaining (buf, offset, size, param) {
+  if (offset + size > buf.length) { throw truncatedExpected(param) }
+}
+
+// checks a count of fixed-size entries read off the wire before it is used for anything: the count may not exceed
+// `limit`, and that many entries must fit in what remains of buf
+function checkCount (buf, offset, count, entrySize, limit, param) {
+  if (count > limit) {
+    throw new CableDecodeError(`expected ${param} to contain at most ${limit} entries; was ${count}`, { code: codes.OUT_OF_RANGE, field: param, expected: limit, actual: count })
+  }
+  checkRemaining(buf, offset, count * entrySize, param)
+}
+
+// throws if decoding stopped short of the end of buf. extra bytes after the last field would otherwise let several
+// different byte strings, and with them several different post hashes, decode to the same object
+function checkConsumed (buf, offset, name, opts) {
+  if (offset === buf.length || (opts && opts.allowTrailingBytes)) { return }
+  throw new CableDecodeError(`${name}: expected the buffer to end after its last field; contains an additional ${buf.length - offset} bytes`, { code: codes.LENGTH_MISMATCH, expected: offset, actual: buf.length })
+}
+
+// checks that msgLen is within limits, and that it matches the number of bytes following it
+function checkMsgLen (buf, offset, msgLen, limits) {
+  if (msgLen > limits.maxMessageSize) {
+    throw new CableDecodeError(`expected msgLen to be at most ${limits.maxMessageSize} bytes; was ${msgLen}`, { code: codes.OUT_OF_RANGE, field: "msgLen", expected: limits.maxMessageSize, actual: msgLen })
+  }
+  if (buf.length - offset !== msgLen) { throw msgLenMismatch(msgLen, buf.length - offset) }
+}
+
+// VARINTS
+
+// the same number can be encoded as a varint in several ways, by padding it with continuation bytes that add
+// nothing (e.g. 0x81 0x00 for 1). cable only accepts the shortest encoding: otherwise a peer could re-encode e.g.
+// a timestamp and produce a different post hash for the same post. numbers beyond Number.MAX_SAFE_INTEGER are
+// rejected for the same reason, as they no longer decode to a unique value
+function checkCanonicalVarint (frame, offset, bytes, value) {
+  if (bytes > 1 && frame[offset + bytes - 1] === 0) {
+    throw new CableDecodeError(`expected varint at offset ${offset} to be minimally encoded; was ${bytes} bytes for value ${value}`, { code: codes.INVALID_VARINT, expected: varint.encodingLength(value), actual: bytes })
+  }
+  if (value > Number.MAX_SAFE_INTEGER) {
+    throw new CableDecodeError(`expected varint at offset ${offset} to be at most ${Number.MAX_SAFE_INTEGER}`, { code: codes.OUT_OF_RANGE, expected: Number.MAX_SAFE_INTEGER })
+  }
+}
+
+// decodes the varint starting at buf[offset] without copying anything, returning its value along with the number of
+// bytes it occupies. throws if the varint is cut off by the end of buf, is longer than MAX_VARINT_SIZE, or is not
+// canonical (see checkCanonicalVarint)
+function decodeVarint (buf, offset) {
+  let value = 0
+  let shift = 0
+  let i = offset
+  let byte
+  do {
+    if (i >= buf.length) { throw truncatedExpected(`varint at offset ${offset}`) }
+    if (i - offset >= constants.MAX_VARINT_SIZE) {
+      throw new CableDecodeError(`expected a varint of at most ${constants.MAX_VARINT_SIZE} bytes at offset ${offset}`, { code: codes.INVALID_VARINT })
+    }
+    byte = buf[i++]
+    // bitwise operators work on 32-bit integers: past 28 bits, fall back to multiplication
+    value += shift < 28 ? (byte & 0x7f) << shift : (byte & 0x7f) * Math.pow(2, shift)
+    shift += 7
+  } while (byte >= 0x80)
+  const bytes = i - offset
+  checkCanonicalVarint(buf, offset, bytes, value)
+  return { value, bytes }
+}
+
+function encodeVarintBuffer (n) {
+  // take integer, return varint encoded buffer representation
+  return b4a.from(varint.encode(n))
+}
+
+// writes n as a varint into buf at offset, returning the amount of bytes written
+function writeVarint (n, buf, offset) {
+  varint.encode(n, buf, offset)
+  return varint.encodingLength(n)
+}
+
+// TYPE CHECKS
+
+function isInteger(n) {
+  return Number.isInteger(n)
+}
+function isNonNegativeInteger(n) {
+  return Number.isInteger(n) && n >= 0
+}
+
+function ttlRangeCorrect(ttl) {
+  return ttl >= 0 && ttl <= 16
+}
+
+function isBufferSize(b, SIZE) {
+  if (b4a.isBuffer(b)) {
+    return b.length === SIZE
+  }
+  return false
+}
+
+function isString (s) {
+  return typeof s === "string"
+}
+
+// a signer is any object with a sign(payload) method (see signers.js)
+function isSigner (s) {
+  return s !== null && typeof s === "object" && typeof s.sign === "function"
+}
+
+function isPromise (p) {
+  return p !== null && typeof p === "object" && typeof p.then === "function"
+}
+
+// arr is an array where each element will be passed through `fn`. if any of them fails, the check fails
+function isArrayCheck(arr, fn) {
+  if (Array.isArray(arr)) {
+    return arr.every(fn)
+  }
+  return false
+}
+
+const bufHashCheck = (el) => { return isBufferSize(el, constants.HASH_SIZE) }
+function isArrayHashes (arr) {
+  return isArrayCheck(arr, bufHashCheck)
+}
+
+const bufPublicKeyCheck = (el) => { return isBufferSize(el, constants.PUBLICKEY_SIZE) }
+function isArrayPublicKeys (arr) {
+  return isArrayCheck(arr, bufPublicKeyCheck)
+}
+
+module.exports = {
+  varintField,
+  typeField,
+  bytesField,
+  stringField,
+  listField,
+  terminatedListField,
+  infoField,
+  messageSchema,
+  postSchema,
+
+  encodeArgs,
+  encodeArgsAsync,
+  encodeOptions,
+  encodeOptionsAsync,
+  encodeUnsignedArgs,
+  encodeUnsignedOptions,
+  writeSignature,
+  encode,
+  encodeAsync,
+  decode,
+  decodeLeniently,
+  decodeLimits,
+  checkRemaining,
+  checkCount,
+  decodeVarint,
+  encodeVarintBuffer,
+
+  isInteger,
+  isString,
+  isArrayHashes,
+  isArrayPublicKeys,
+  ttlRangeCorrect,
+
+  arrayExpected,
+  integerExpected,
+  stringExpected,
+  unknownAction,
+  emptyRecipientsExpected,
+  ttlRangeExpected,
+  truncatedExpected
+}
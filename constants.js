@@ -83,6 +83,9 @@ const CIRCUITID_SIZE = 4
 const HASH_SIZE = sodium.crypto_generichash_BYTES
 const PUBLICKEY_SIZE = sodium.crypto_sign_PUBLICKEYBYTES
 const SECRETKEY_SIZE = sodium.crypto_sign_SECRETKEYBYTES
+const SEED_SIZE = sodium.crypto_sign_SEEDBYTES
+// the key of a cabal, which its members share: see invites.js and handshake.js
+const CABAL_KEY_SIZE = 32
 const SIGNATURE_SIZE = sodium.crypto_sign_BYTES
 
 // cable specification max sizes wrt bytes and codepoints
@@ -107,6 +110,15 @@ const REASON_MAX_CODEPOINTS = 128
 const RECIPIENT_COUNT_MIN = 1
 const RECIPIENT_COUNT_MAX = 16
 
+// not set by the cable specification: default limits applied when decoding, guarding against peers that claim to
+// send far more than any well-behaved peer would. each can be overridden through the decoding functions' opts
+// the largest msgLen accepted when decoding a message or reading frames off of a connection
+const MESSAGE_MAX_BYTES = 4 * 1024 * 1024
+// the largest number of links accepted in a post
+const DECODE_MAX_LINKS = 1024
+// the largest number of hashes accepted in a hash response, post request or post/delete
+const DECODE_MAX_HASHES = 65536
+
 const INFO_DEFAULT_NAME = ""
 const INFO_DEFAULT_ACCEPT_ROLE = 1
 
@@ -152,6 +164,8 @@ module.exports = {
   HASH_SIZE,
   PUBLICKEY_SIZE,
   SECRETKEY_SIZE,
+  SEED_SIZE,
+  CABAL_KEY_SIZE,
   SIGNATURE_SIZE,
 
   USER_NAME_MIN_CODEPOINTS,
@@ -168,6 +182,9 @@ module.exports = {
   REASON_MAX_CODEPOINTS,
   RECIPIENT_COUNT_MIN,
   RECIPIENT_COUNT_MAX,
+  MESSAGE_MAX_BYTES,
+  DECODE_MAX_LINKS,
+  DECODE_MAX_HASHES,
 
   CABAL_CONTEXT,
   INFO_DEFAULT_NAME, 
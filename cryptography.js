@@ -4,6 +4,7 @@
 
 const b4a = require("b4a")
 const sodium = require("sodium-universal")
+const { CableEncodeError, codes } = require("./errors.js")
 
 // copy in utility functions into file to decrease audit burden / minimize # imported depdencies
 function isBufferSize(b, SIZE) {
@@ -14,11 +15,11 @@ function isBufferSize(b, SIZE) {
 }
 
 function bufferExpected (fn) {
-  return new Error(`function ${fn} expected a buffer`)
+  return new CableEncodeError(`function ${fn} expected a buffer`, { code: codes.INVALID_TYPE, field: "buf" })
 }
 
 function bufferExpectedSize (fn, variableName, size) {
-  return new Error(`function ${fn} expected ${variableName} to be a buffer of size ${size}`)
+  return new CableEncodeError(`function ${fn} expected ${variableName} to be a buffer of size ${size}`, { code: codes.INVALID_TYPE, field: variableName, expected: size })
 }
 
 function generateReqID() {
@@ -29,17 +30,38 @@ function generateReqID() {
   return buf
 }
 
-function generateKeypair() {
+// returns a random keypair or, if passed a seed of crypto_sign_SEEDBYTES bytes (see generateSeed), the keypair derived
+// from it: the same seed always yields the same keypair
+function generateKeypair(seed) {
   const kp = { 
     publicKey: b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES).fill(0),
     secretKey: b4a.alloc(sodium.crypto_sign_SECRETKEYBYTES).fill(0)
   }
 
-  sodium.crypto_sign_keypair(kp.publicKey, kp.secretKey)
+  if (seed === undefined) {
+    sodium.crypto_sign_keypair(kp.publicKey, kp.secretKey)
+  } else if (isBufferSize(seed, sodium.crypto_sign_SEEDBYTES)) {
+    sodium.crypto_sign_seed_keypair(kp.publicKey, kp.secretKey, seed)
+  } else {
+    throw bufferExpectedSize("generateKeypair", "seed", sodium.crypto_sign_SEEDBYTES)
+  }
 
   return kp
 }
 
+function generateSeed() {
+  return randomBytes(sodium.crypto_sign_SEEDBYTES)
+}
+
+// returns the seed a keypair can be derived from again using generateKeypair(seed). this works for random keypairs
+// too: an ed25519 secret key starts with its seed
+function keypairSeed(kp) {
+  if (!kp || !isBufferSize(kp.secretKey, sodium.crypto_sign_SECRETKEYBYTES)) {
+    throw bufferExpectedSize("keypairSeed", "secretKey", sodium.crypto_sign_SECRETKEYBYTES)
+  }
+  return b4a.from(kp.secretKey.subarray(0, sodium.crypto_sign_SEEDBYTES))
+}
+
 function randomBytes (len) {
   const buf = b4a.alloc(len)
   sodium.randombytes_buf(buf)
@@ -60,6 +82,20 @@ function sign (buf, secretKey) {
   sodium.crypto_sign(sigAndPayload, payload, secretKey)
 }
 
+// returns the signature of payload on its own, i.e. without prepending or writing it anywhere. for a post, the
+// payload is everything following its public key and signature
+function signDetached (payload, secretKey) {
+  if (!b4a.isBuffer(payload)) {
+    throw bufferExpected("signDetached")
+  }
+  if (!isBufferSize(secretKey, sodium.crypto_sign_SECRETKEYBYTES)) {
+    throw bufferExpectedSize("signDetached", "secretKey", sodium.crypto_sign_SECRETKEYBYTES)
+  }
+  const signature = b4a.alloc(sodium.crypto_sign_BYTES)
+  sodium.crypto_sign_detached(signature, payload, secretKey)
+  return signature
+}
+
 // buf is a buffer that is exactly as large as the message (i.e. no overshooting placeholder bytes after message
 // payload)
 function verify (buf, publicKey) {
@@ -69,9 +105,12 @@ function verify (buf, publicKey) {
   if (!isBufferSize(publicKey, sodium.crypto_sign_PUBLICKEYBYTES)) {
     throw bufferExpectedSize("verify", "publicKey", sodium.crypto_sign_PUBLICKEYBYTES)
   }
-  const sigAndPayload = buf.subarray(sodium.crypto_sign_PUBLICKEYBYTES)
+  if (buf.length < sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_sign_BYTES) { return false }
+  // verify the detached signature rather than opening the signed message: crypto_sign_open writes its output over
+  // the payload, and zeroes it out when verification fails
+  const signature = buf.subarray(sodium.crypto_sign_PUBLICKEYBYTES, sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_sign_BYTES)
   const payload = buf.subarray(sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_sign_BYTES)
-  return sodium.crypto_sign_open(payload, sigAndPayload, publicKey)
+  return sodium.crypto_sign_verify_detached(signature, payload, publicKey)
 }
 
 function hash(buf) {
@@ -83,8 +122,11 @@ function hash(buf) {
 module.exports = {
   generateReqID,
   generateKeypair,
+  generateSeed,
+  keypairSeed,
   randomBytes,
   hash,
   sign,
+  signDetached,
   verify
 }
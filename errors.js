@@ -0,0 +1,83 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// errors thrown by cable.js. the class tells you who is at fault:
+//
+// CableEncodeError: a function was called incorrectly, e.g. with the wrong number of arguments or a string
+//    where a buffer was expected. this is a bug in the calling code
+// CableValidationError: a value is outside of what the cable specification allows, e.g. a channel name that is
+//    too long. when creating posts this typically stems from user input
+// CableDecodeError: a buffer does not contain what it claims to, e.g. it is truncated or of the wrong type.
+//    when decoding data received from a peer this signals a broken or misbehaving peer
+// CableSignatureError: a post's signature could not be verified using the post's public key
+//
+// each error carries a machine-readable `code` (see `codes` below) and, where it applies, the name of the
+// offending `field` alongside the `expected` and `actual` values
+class CableError extends Error {
+  constructor (message, details) {
+    super(message)
+    details = details || {}
+    this.name = this.constructor.name
+    this.code = details.code
+    this.field = details.field
+    this.expected = details.expected
+    this.actual = details.actual
+  }
+}
+
+class CableEncodeError extends CableError {}
+class CableDecodeError extends CableError {}
+class CableValidationError extends CableError {}
+class CableSignatureError extends CableError {}
+
+const codes = {
+  // a function received the wrong number of arguments
+  ARGUMENT_COUNT: "ERR_ARGUMENT_COUNT",
+  // a value was of the wrong type, or a buffer of the wrong size
+  INVALID_TYPE: "ERR_INVALID_TYPE",
+  // a number, length, or count was outside of the range allowed by the specification
+  OUT_OF_RANGE: "ERR_OUT_OF_RANGE",
+  // a value was not one of those defined by the specification, e.g. an unknown post/info key
+  UNKNOWN_VALUE: "ERR_UNKNOWN_VALUE",
+  // a value that may appear only once appeared more than once, e.g. a repeated post/info key
+  DUPLICATE_VALUE: "ERR_DUPLICATE_VALUE",
+  // a decoded msgType or postType did not match the type expected by the decoder
+  WRONG_TYPE: "ERR_WRONG_TYPE",
+  // a decoded msgType or postType is not defined by the specification
+  UNKNOWN_TYPE: "ERR_UNKNOWN_TYPE",
+  // a buffer ended before all of the fields it should contain could be read
+  TRUNCATED: "ERR_TRUNCATED",
+  // a buffer's length disagrees with its msgLen, or it contains more bytes than its fields account for
+  LENGTH_MISMATCH: "ERR_LENGTH_MISMATCH",
+  // a varint could not be decoded
+  INVALID_VARINT: "ERR_INVALID_VARINT",
+  // a post's signature did not verify
+  INVALID_SIGNATURE: "ERR_INVALID_SIGNATURE",
+  // an encrypted keypair could not be decrypted with the passphrase given, or its encrypted secret key was altered
+  WRONG_PASSPHRASE: "ERR_WRONG_PASSPHRASE",
+  // a recovery phrase did not match its checksum, e.g. because of a typo
+  INVALID_CHECKSUM: "ERR_INVALID_CHECKSUM",
+  // a handshake or transport message could not be decrypted: the peers don't share the same cabal key, or the message
+  // was altered
+  DECRYPTION_FAILED: "ERR_DECRYPTION_FAILED",
+  // a verification worker failed or exited while verifying posts
+  WORKER_FAILED: "ERR_WORKER_FAILED",
+  // a response carried a reqid other than the one of the request it was matched against
+  REQID_MISMATCH: "ERR_REQID_MISMATCH",
+  // a public key did not match the secret key it was stored or sent along with
+  KEY_MISMATCH: "ERR_KEY_MISMATCH",
+  // a verifier pool was used after it was closed
+  POOL_CLOSED: "ERR_POOL_CLOSED",
+  // a stream was destroyed or ended before a message could be written to it
+  STREAM_CLOSED: "ERR_STREAM_CLOSED"
+}
+
+module.exports = {
+  CableError,
+  CableEncodeError,
+  CableDecodeError,
+  CableValidationError,
+  CableSignatureError,
+  codes
+}
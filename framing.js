@@ -0,0 +1,314 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// helpers for moving cable messages over a byte stream, such as a tcp socket. every message produced by a
+// `create()` call starts with its length (the msgLen varint), which is what the decoder below uses to cut an
+// arbitrarily chunked stream of bytes back into whole messages. the encoding side writes messages to a stream
+// while respecting its backpressure
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const codec = require("./codec.js")
+const cable = require("./index.js")
+const { CableEncodeError, CableDecodeError, codes } = require("./errors.js")
+
+class FrameDecoder {
+  // opts.maxMessageSize: largest msgLen to accept before treating the stream as corrupt
+  // opts.parse: if true, read() returns the object produced by parseMessage instead of the frame's bytes. opts
+  // is passed on to parseMessage, making its decoding limits (e.g. opts.maxHashes) apply as well
+  constructor (opts) {
+    opts = opts || {}
+    this.maxMessageSize = opts.maxMessageSize || constants.MESSAGE_MAX_BYTES
+    this.parse = Boolean(opts.parse)
+    this._parseOpts = { maxMessageSize: this.maxMessageSize, maxLinks: opts.maxLinks, maxHashes: opts.maxHashes }
+    // set once the stream is found to be corrupt: there is no way to find the next frame boundary after that
+    this.error = null
+    // received chunks not yet handed out as frames, and the sum of their lengths
+    this._chunks = []
+    this._length = 0
+    // full size of the frame being assembled (msgLen varint + msgLen), or -1 if msgLen has not been read yet
+    this._frameSize = -1
+  }
+
+  // buffer a chunk of bytes. call read() afterwards to get the frames it completed
+  push (chunk) {
+    if (this.error) { throw this.error }
+    if (!b4a.isBuffer(chunk)) { throw new CableEncodeError("expected chunk to be a buffer", { code: codes.INVALID_TYPE, field: "chunk" }) }
+    if (chunk.length === 0) { return }
+    this._chunks.push(chunk)
+    this._length += chunk.length
+  }
+
+  // returns the next complete frame, or null if more bytes are needed
+  read () {
+    if (this.error) { throw this.error }
+    let frame
+    try {
+      frame = this._nextFrame()
+    } catch (err) {
+      this.error = err
+      throw err
+    }
+    if (frame === null) { return null }
+    // a frame that fails to parse does not affect the frames after it, so the decoder stays usable
+    return this.parse ? cable.parseMessage(frame, this._parseOpts) : frame
+  }
+
+  // signal that the stream has ended. throws if it ended partway through a frame
+  end () {
+    if (this.error) { throw this.error }
+    if (this._length > 0) {
+      this.error = new CableDecodeError(`expected stream to end on a frame boundary; ${this._length} bytes of an incomplete frame remain`, { code: codes.TRUNCATED, actual: this._length })
+      throw this.error
+    }
+  }
+
+  _nextFrame () {
+    if (this._length === 0) { return null }
+    if (this._frameSize < 0) {
+      const header = this._peek(Math.min(this._length, constants.MAX_VARINT_SIZE))
+      let decoded
+      try {
+        decoded = codec.decodeVarint(header, 0)
+      } catch (err) {
+        if (err.code !== codes.TRUNCATED) {
+          throw new CableDecodeError(`expected msgLen to be a valid varint: ${err.message}`, { code: err.code, field: "msgLen" })
+        }
+        // a msgLen cut off by the end of the received bytes needs more of them, unless it is as long as a varint can be
+        if (header.length < constants.MAX_VARINT_SIZE) { return null }
+        throw new CableDecodeError(`expected msgLen to be a varint of at most ${constants.MAX_VARINT_SIZE} bytes`, { code: codes.INVALID_VARINT, field: "msgLen" })
+      }
+      const msgLen = decoded.value
+      // every message contains at least its msgType
+      if (msgLen === 0) { throw new CableDecodeError("expected msgLen to be greater than 0", { code: codes.OUT_OF_RANGE, field: "msgLen", actual: msgLen }) }
+      if (msgLen > this.maxMessageSize) {
+        throw new CableDecodeError(`expected msgLen to be at most ${this.maxMessageSize} bytes; was ${msgLen}`, { code: codes.OUT_OF_RANGE, field: "msgLen", expected: this.maxMessageSize, actual: msgLen })
+      }
+      this._frameSize = decoded.bytes + msgLen
+    }
+    if (this._length < this._frameSize) { return null }
+    const frame = this._take(this._frameSize)
+    this._frameSize = -1
+    return frame
+  }
+
+  // merge leading chunks until the first chunk holds at least `size` bytes
+  _consolidate (size) {
+    if (this._chunks[0].length >= size) { return }
+    let count = 0
+    let merged = 0
+    while (merged < size) {
+      merged += this._chunks[count].length
+      count++
+    }
+    this._chunks.splice(0, count, b4a.concat(this._chunks.slice(0, count)))
+  }
+
+  _peek (size) {
+    this._consolidate(size)
+    return this._chunks[0].subarray(0, size)
+  }
+
+  _take (size) {
+    this._consolidate(size)
+    const head = this._chunks[0]
+    if (head.length === size) {
+      this._chunks.shift()
+    } else {
+      this._chunks[0] = head.subarray(size)
+    }
+    this._length -= size
+    return head.subarray(0, size)
+  }
+}
+
+// async generator yielding the frames (or parsed messages, see FrameDecoder opts) contained in `source`. source
+// is any (async) iterable of buffers, e.g. a nodejs readable stream, or a web ReadableStream
+async function * decodeFrames (source, opts) {
+  const decoder = new FrameDecoder(opts)
+  for await (const chunk of iterateChunks(source)) {
+    decoder.push(chunk)
+    let frame
+    while ((frame = decoder.read()) !== null) {
+      yield frame
+    }
+  }
+  decoder.end()
+}
+
+// nodejs transform stream: bytes are written in, frames (or parsed messages) are read out. `stream` is required
+// here rather than at the top of the file so that the rest of this module works in browsers without a polyfill
+function createDecodeStream (opts) {
+  const { Transform } = require("stream")
+  const decoder = new FrameDecoder(opts)
+  return new Transform({
+    readableObjectMode: true,
+    transform (chunk, encoding, done) {
+      try {
+        decoder.push(chunk)
+        let frame
+        while ((frame = decoder.read()) !== null) {
+          this.push(frame)
+        }
+      } catch (err) {
+        return done(err)
+      }
+      done()
+    },
+    flush (done) {
+      try {
+        decoder.end()
+      } catch (err) {
+        return done(err)
+      }
+      done()
+    }
+  })
+}
+
+// turns a message into the bytes to put on the wire. msg is either a buffer returned by one of the message
+// `create()` functions, or an object of the shape returned by the message `toJSON()` functions
+function encodeFrame (msg) {
+  const buf = b4a.isBuffer(msg) ? msg : encodeMessageObject(msg)
+  // catch posts and other buffers that are not length-prefixed messages before they corrupt the stream. msgLen is
+  // checked as strictly as the decoders do, so that a padded msgLen is refused here rather than by the peer
+  let msgLen
+  try {
+    msgLen = codec.decodeVarint(buf, 0)
+  } catch (err) {
+    throw new CableEncodeError(`expected message to start with a msgLen varint: ${err.message}`, { code: err.code || codes.INVALID_VARINT, field: "msgLen" })
+  }
+  if (buf.length - msgLen.bytes !== msgLen.value) {
+    const actual = buf.length - msgLen.bytes
+    throw new CableEncodeError(`expected message to be ${msgLen.value} bytes long (excluding msgLen); was ${actual}`, { code: codes.LENGTH_MISMATCH, field: "msgLen", expected: msgLen.value, actual })
+  }
+  return buf
+}
+
+function encodeMessageObject (obj) {
+  if (obj === null || typeof obj !== "object") { throw new CableEncodeError("expected message to be a buffer or an object", { code: codes.INVALID_TYPE, field: "msg" }) }
+  // only messages are framed: posts travel inside a POST_RESPONSE
+  if (obj.msgType === undefined) {
+    throw new CableEncodeError("encode message: unknown message type (undefined)", { code: codes.UNKNOWN_TYPE, field: "msgType" })
+  }
+  return cable.encode(obj)
+}
+
+// writes messages to `sink`, which is either a nodejs writable (e.g. a net.Socket or any duplex) or a web
+// WritableStream. the promise returned by write() resolves once the sink is ready to accept more data, so
+// awaiting each write keeps memory use bounded when the peer reads slowly
+class FrameWriter {
+  constructor (sink) {
+    if (sink && typeof sink.getWriter === "function") {
+      this._writer = sink.getWriter()
+      this._sink = null
+    } else if (sink && typeof sink.write === "function") {
+      this._writer = null
+      this._sink = sink
+    } else {
+      throw new CableEncodeError("expected sink to be a nodejs writable stream or a WritableStream", { code: codes.INVALID_TYPE, field: "sink" })
+    }
+  }
+
+  async write (msg) {
+    const buf = encodeFrame(msg)
+    if (this._writer) {
+      await this._writer.ready
+      // the write is accepted once queued; failures surface through `ready` on the next write, or through end()
+      this._writer.write(buf).catch(() => {})
+      return
+    }
+    // writing to a closed sink fails through the write callback only, which would leave the drain wait hanging
+    if (isClosed(this._sink)) { throw streamClosed() }
+    if (this._sink.write(buf)) { return }
+    await waitForDrain(this._sink)
+  }
+
+  async end () {
+    if (this._writer) {
+      await this._writer.close()
+      return
+    }
+    await new Promise((resolve, reject) => {
+      const onError = (err) => reject(err)
+      this._sink.once("error", onError)
+      this._sink.end((err) => {
+        this._sink.removeListener("error", onError)
+        if (err) { return reject(err) }
+        resolve()
+      })
+    })
+  }
+}
+
+function waitForDrain (stream) {
+  return new Promise((resolve, reject) => {
+    // a stream closed by the write itself won't emit close or drain again
+    if (isClosed(stream)) { return reject(streamClosed()) }
+    const cleanup = () => {
+      stream.removeListener("drain", onDrain)
+      stream.removeListener("error", onError)
+      stream.removeListener("close", onClose)
+    }
+    const onDrain = () => { cleanup(); resolve() }
+    const onError = (err) => { cleanup(); reject(err) }
+    const onClose = () => { cleanup(); reject(streamClosed()) }
+    stream.on("drain", onDrain)
+    stream.on("error", onError)
+    stream.on("close", onClose)
+  })
+}
+
+function isClosed (stream) {
+  return Boolean(stream.destroyed || stream.writableEnded)
+}
+
+function streamClosed () {
+  return new CableEncodeError("expected sink to accept writes; it was destroyed or ended", { code: codes.STREAM_CLOSED, field: "sink" })
+}
+
+// nodejs transform stream: messages (buffers or objects, see encodeFrame) are written in, bytes are read out.
+// pipe it into a socket to get the socket's backpressure applied to whoever is writing messages
+function createEncodeStream () {
+  const { Transform } = require("stream")
+  return new Transform({
+    writableObjectMode: true,
+    transform (msg, encoding, done) {
+      let buf
+      try {
+        buf = encodeFrame(msg)
+      } catch (err) {
+        return done(err)
+      }
+      done(null, buf)
+    }
+  })
+}
+
+// web ReadableStreams are not async iterable in every runtime; read those through a reader instead
+function iterateChunks (source) {
+  if (source[Symbol.asyncIterator] || source[Symbol.iterator]) { return source }
+  if (typeof source.getReader === "function") { return readerIterator(source.getReader()) }
+  throw new CableEncodeError("expected source to be an iterable or a ReadableStream", { code: codes.INVALID_TYPE, field: "source" })
+}
+
+async function * readerIterator (reader) {
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) { return }
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+module.exports = {
+  FrameDecoder,
+  decodeFrames,
+  createDecodeStream,
+  FrameWriter,
+  encodeFrame,
+  createEncodeStream
+}
@@ -0,0 +1,547 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// the handshake two cable peers perform before exchanging messages, and the encrypted transport following it.
+//
+// the handshake is Noise_XXpsk0_25519_ChaChaPoly_BLAKE2b (https://noiseprotocol.org/noise.html), with the cabal key
+// as the pre-shared key: a peer that doesn't know the cabal key fails the handshake with its first message. each peer
+// proves ownership of its ed25519 public key, the key its posts are signed with. its noise static key is the x25519
+// counterpart of that key, and it sends the ed25519 public key itself as the (encrypted) payload of its handshake
+// message:
+//
+//   -> psk, e
+//   <- e, ee, s, es    payload: responder's ed25519 public key
+//   -> s, se           payload: initiator's ed25519 public key
+//
+// on the wire, every handshake message and every transport segment is prefixed with its length as a 2-byte big endian
+// integer. transport segments hold at most 65519 bytes of plaintext (65535 minus the authentication tag), so that
+// longer writes are split across several segments. an empty segment marks the end of the stream, which lets the
+// receiver tell a stream that was ended from one that was cut off.
+//
+// Handshake and CipherState are independent of any kind of stream, for use wherever nodejs streams aren't available.
+// secureStream() runs them over a nodejs duplex stream, such as a tcp socket
+const b4a = require("b4a")
+const sodium = require("sodium-universal")
+const constants = require("./constants.js")
+const { CableEncodeError, CableDecodeError, codes } = require("./errors.js")
+
+const PROTOCOL_NAME = "Noise_XXpsk0_25519_ChaChaPoly_BLAKE2b"
+// mixed into the handshake transcript: peers speaking another version of the handshake fail to complete it
+const PROLOGUE = "CABLE1"
+const HASHLEN = 64
+const BLOCKLEN = 128
+const DHLEN = sodium.crypto_scalarmult_BYTES
+const KEYLEN = sodium.crypto_aead_chacha20poly1305_ietf_KEYBYTES
+const TAGLEN = sodium.crypto_aead_chacha20poly1305_ietf_ABYTES
+const MAX_SEGMENT_SIZE = 65535
+const MAX_PLAINTEXT_SIZE = MAX_SEGMENT_SIZE - TAGLEN
+const LENGTH_PREFIX_SIZE = 2
+
+// the message patterns of XXpsk0, in order
+const PATTERNS = [
+  { initiator: true, tokens: ["psk", "e"] },
+  { initiator: false, tokens: ["e", "ee", "s", "es"] },
+  { initiator: true, tokens: ["s", "se"] }
+]
+
+// encrypts or decrypts one direction of the transport, counting the nonce up with each message
+class CipherState {
+  constructor (key) {
+    this._key = key
+    this._nonce = 0
+  }
+
+  get hasKey () {
+    return this._key !== null
+  }
+
+  encrypt (ad, plaintext) {
+    if (!this.hasKey) { return b4a.from(plaintext) }
+    const ciphertext = b4a.alloc(plaintext.length + TAGLEN)
+    sodium.crypto_aead_chacha20poly1305_ietf_encrypt(ciphertext, plaintext, ad, null, this._nextNonce(), this._key)
+    return ciphertext
+  }
+
+  // throws a CableDecodeError with code ERR_DECRYPTION_FAILED if ciphertext was not encrypted with the same key and
+  // nonce, or was altered
+  decrypt (ad, ciphertext) {
+    if (!this.hasKey) { return b4a.from(ciphertext) }
+    if (ciphertext.length < TAGLEN) { throw decryptionFailed() }
+    const plaintext = b4a.alloc(ciphertext.length - TAGLEN)
+    const nonce = this._nonce
+    try {
+      sodium.crypto_aead_chacha20poly1305_ietf_decrypt(plaintext, null, ciphertext, ad, this._nextNonce(), this._key)
+    } catch (err) {
+      // a message that fails to decrypt doesn't use up its nonce
+      this._nonce = nonce
+      throw decryptionFailed()
+    }
+    return plaintext
+  }
+
+  // the noise nonce: 32 bits of zeroes followed by the 64-bit little endian message counter
+  _nextNonce () {
+    if (this._nonce >= Number.MAX_SAFE_INTEGER) {
+      throw new CableEncodeError("cipher state ran out of nonces", { code: codes.OUT_OF_RANGE, field: "nonce" })
+    }
+    const nonce = b4a.alloc(sodium.crypto_aead_chacha20poly1305_ietf_NPUBBYTES)
+    const view = new DataView(nonce.buffer, nonce.byteOffset, nonce.byteLength)
+    view.setUint32(4, this._nonce % 0x100000000, true)
+    view.setUint32(8, Math.floor(this._nonce / 0x100000000), true)
+    this._nonce++
+    return nonce
+  }
+}
+
+// the noise SymmetricState: the chaining key and the hash of the transcript so far
+class SymmetricState {
+  constructor () {
+    const name = b4a.from(PROTOCOL_NAME)
+    this.h = name.length <= HASHLEN ? b4a.concat([name, b4a.alloc(HASHLEN - name.length)]) : hash(name)
+    this.ck = b4a.from(this.h)
+    this.cipher = new CipherState(null)
+  }
+
+  mixKey (ikm) {
+    const [ck, k] = hkdf(this.ck, ikm, 2)
+    this.ck = ck
+    this.cipher = new CipherState(k.subarray(0, KEYLEN))
+  }
+
+  mixHash (data) {
+    this.h = hash(b4a.concat([this.h, data]))
+  }
+
+  mixKeyAndHash (ikm) {
+    const [ck, h, k] = hkdf(this.ck, ikm, 3)
+    this.ck = ck
+    this.mixHash(h)
+    this.cipher = new CipherState(k.subarray(0, KEYLEN))
+  }
+
+  encryptAndHash (plaintext) {
+    const ciphertext = this.cipher.encrypt(this.h, plaintext)
+    this.mixHash(ciphertext)
+    return ciphertext
+  }
+
+  decryptAndHash (ciphertext) {
+    const plaintext = this.cipher.decrypt(this.h, ciphertext)
+    this.mixHash(ciphertext)
+    return plaintext
+  }
+
+  split () {
+    const [k1, k2] = hkdf(this.ck, b4a.alloc(0), 2)
+    return [new CipherState(k1.subarray(0, KEYLEN)), new CipherState(k2.subarray(0, KEYLEN))]
+  }
+}
+
+// one peer's side of the handshake. call send() to get the next message to send to the other peer (null if it's the
+// other peer's turn) and recv() with each message received from it, until `complete` is set. then, remotePublicKey
+// holds the other peer's ed25519 public key, and `tx` and `rx` the cipher states to encrypt and decrypt the transport
+// with.
+//
+// opts.initiator   whether this peer starts the handshake, typically the one that opened the connection
+// opts.keypair     this peer's ed25519 keypair, as returned by cryptography.generateKeypair
+// opts.cabalKey    the 32-byte key of the cabal, shared by all of its members
+class Handshake {
+  constructor (opts) {
+    opts = opts || {}
+    const { keypair, cabalKey } = opts
+    if (!keypair || !isBufferSize(keypair.publicKey, constants.PUBLICKEY_SIZE) || !isBufferSize(keypair.secretKey, constants.SECRETKEY_SIZE)) {
+      throw new CableEncodeError("expected keypair to hold a publicKey and a secretKey buffer", { code: codes.INVALID_TYPE, field: "keypair" })
+    }
+    if (!isBufferSize(cabalKey, constants.CABAL_KEY_SIZE)) {
+      throw new CableEncodeError(`expected cabalKey to be a buffer of ${constants.CABAL_KEY_SIZE} bytes`, { code: codes.INVALID_TYPE, field: "cabalKey", expected: constants.CABAL_KEY_SIZE })
+    }
+    this.initiator = Boolean(opts.initiator)
+    this.complete = false
+    this.remotePublicKey = null
+    this.tx = null
+    this.rx = null
+
+    this._publicKey = keypair.publicKey
+    this._psk = cabalKey
+    this._s = {
+      publicKey: b4a.alloc(DHLEN),
+      secretKey: b4a.alloc(DHLEN)
+    }
+    sodium.crypto_sign_ed25519_pk_to_curve25519(this._s.publicKey, keypair.publicKey)
+    sodium.crypto_sign_ed25519_sk_to_curve25519(this._s.secretKey, keypair.secretKey)
+    this._e = null
+    this._rs = null
+    this._re = null
+    this._step = 0
+    this._state = new SymmetricState()
+    this._state.mixHash(b4a.from(PROLOGUE))
+  }
+
+  // returns the next handshake message to send, or null if the handshake is complete or waiting on the other peer
+  send () {
+    if (this.complete || PATTERNS[this._step].initiator !== this.initiator) { return null }
+    const state = this._state
+    const out = []
+    for (const token of PATTERNS[this._step].tokens) {
+      switch (token) {
+        case "psk":
+          state.mixKeyAndHash(this._psk)
+          break
+        case "e":
+          // an ephemeral keypair set beforehand is used instead, which known-answer tests rely on
+          if (this._e === null) {
+            this._e = { publicKey: b4a.alloc(DHLEN), secretKey: b4a.alloc(DHLEN) }
+            sodium.crypto_box_keypair(this._e.publicKey, this._e.secretKey)
+          }
+          out.push(this._e.publicKey)
+          state.mixHash(this._e.publicKey)
+          // psk handshakes mix the ephemeral key into the chaining key too
+          state.mixKey(this._e.publicKey)
+          break
+        case "s":
+          out.push(state.encryptAndHash(this._s.publicKey))
+          break
+        default:
+          state.mixKey(this._dh(token))
+      }
+    }
+    // the first message carries no payload; the others carry the sender's ed25519 public key
+    out.push(state.encryptAndHash(this._step === 0 ? b4a.alloc(0) : this._publicKey))
+    this._advance()
+    return b4a.concat(out)
+  }
+
+  // processes a handshake message received from the other peer. throws a CableDecodeError if the message is malformed,
+  // or if the other peer doesn't know the cabal key (code ERR_DECRYPTION_FAILED)
+  recv (msg) {
+    if (!b4a.isBuffer(msg)) {
+      throw new CableEncodeError("expected handshake message to be a buffer", { code: codes.INVALID_TYPE, field: "msg" })
+    }
+    if (this.complete || PATTERNS[this._step].initiator === this.initiator) {
+      throw new CableDecodeError("received a handshake message out of turn", { code: codes.UNKNOWN_VALUE, field: "msg" })
+    }
+    const state = this._state
+    let offset = 0
+    const take = (size) => {
+      if (offset + size > msg.length) {
+        throw new CableDecodeError("handshake message is truncated", { code: codes.TRUNCATED, field: "msg" })
+      }
+      offset += size
+      return msg.subarray(offset - size, offset)
+    }
+    for (const token of PATTERNS[this._step].tokens) {
+      switch (token) {
+        case "psk":
+          state.mixKeyAndHash(this._psk)
+          break
+        case "e":
+          this._re = b4a.from(take(DHLEN))
+          state.mixHash(this._re)
+          state.mixKey(this._re)
+          break
+        case "s":
+          this._rs = state.decryptAndHash(take(DHLEN + (state.cipher.hasKey ? TAGLEN : 0)))
+          break
+        default:
+          state.mixKey(this._dh(token))
+      }
+    }
+    const payload = state.decryptAndHash(msg.subarray(offset))
+    if (this._step > 0) { this._checkRemoteIdentity(payload) }
+    this._advance()
+  }
+
+  // the remote ed25519 public key must be the one the remote noise static key was derived from
+  _checkRemoteIdentity (publicKey) {
+    const derived = b4a.alloc(DHLEN)
+    let valid = publicKey.length === constants.PUBLICKEY_SIZE
+    if (valid) {
+      try {
+        sodium.crypto_sign_ed25519_pk_to_curve25519(derived, publicKey)
+      } catch (err) {
+        // not a point on the curve
+        valid = false
+      }
+    }
+    if (!valid) {
+      throw new CableDecodeError("expected the handshake payload to hold an ed25519 public key", { code: codes.INVALID_TYPE, field: "publicKey" })
+    }
+    if (!b4a.equals(derived, this._rs)) {
+      throw new CableDecodeError("the other peer's public key does not match its handshake key", { code: codes.UNKNOWN_VALUE, field: "publicKey" })
+    }
+    this.remotePublicKey = b4a.from(publicKey)
+  }
+
+  // the diffie-hellman of a token: ee, es or se, where the first letter names the initiator's key and the second the
+  // responder's
+  _dh (token) {
+    const local = token[this.initiator ? 0 : 1] === "e" ? this._e : this._s
+    const remote = token[this.initiator ? 1 : 0] === "e" ? this._re : this._rs
+    const out = b4a.alloc(DHLEN)
+    try {
+      sodium.crypto_scalarmult(out, local.secretKey, remote)
+    } catch (err) {
+      // low-order points yield an all-zero shared secret, which sodium refuses
+      throw new CableDecodeError("the other peer sent an invalid handshake key", { code: codes.INVALID_TYPE, field: "msg" })
+    }
+    return out
+  }
+
+  _advance () {
+    this._step++
+    if (this._step < PATTERNS.length) { return }
+    const [c1, c2] = this._state.split()
+    this.tx = this.initiator ? c1 : c2
+    this.rx = this.initiator ? c2 : c1
+    this.complete = true
+    // neither secret is needed past the handshake
+    sodium.sodium_memzero(this._e.secretKey)
+    sodium.sodium_memzero(this._s.secretKey)
+    this._state = null
+  }
+}
+
+// cuts a stream of bytes into the length-prefixed segments the handshake and transport are sent as
+class SegmentDecoder {
+  constructor () {
+    this._buffered = b4a.alloc(0)
+  }
+
+  push (chunk) {
+    this._buffered = this._buffered.length === 0 ? chunk : b4a.concat([this._buffered, chunk])
+  }
+
+  // returns the next complete segment, or null if more bytes are needed
+  read () {
+    if (this._buffered.length < LENGTH_PREFIX_SIZE) { return null }
+    const size = (this._buffered[0] << 8) | this._buffered[1]
+    if (this._buffered.length < LENGTH_PREFIX_SIZE + size) { return null }
+    const segment = this._buffered.subarray(LENGTH_PREFIX_SIZE, LENGTH_PREFIX_SIZE + size)
+    this._buffered = this._buffered.subarray(LENGTH_PREFIX_SIZE + size)
+    return segment
+  }
+}
+
+function encodeSegment (buf) {
+  const out = b4a.alloc(LENGTH_PREFIX_SIZE + buf.length)
+  out[0] = buf.length >> 8
+  out[1] = buf.length & 0xff
+  b4a.copy(buf, out, LENGTH_PREFIX_SIZE)
+  return out
+}
+
+// performs the handshake over `stream`, a nodejs duplex stream such as a net.Socket, and resolves with a duplex stream
+// of the plaintext: what is written to it is encrypted and written to `stream`, and what arrives on `stream` is
+// decrypted and can be read from it, e.g. with framing.decodeFrames(). the returned stream's remotePublicKey holds the
+// other peer's ed25519 public key. takes the same opts as Handshake. rejects if the handshake fails, destroying stream
+function secureStream (stream, opts) {
+  const handshake = new Handshake(opts)
+  const decoder = new SegmentDecoder()
+  return new Promise((resolve, reject) => {
+    // writing a handshake message can make the other peer answer right away, re-entering onData: settle only once
+    let settled = false
+    const cleanup = () => {
+      settled = true
+      stream.removeListener("data", onData)
+      stream.removeListener("end", onEnd)
+      stream.removeListener("error", onError)
+      stream.removeListener("close", onEnd)
+    }
+    const fail = (err) => {
+      if (settled) { return }
+      cleanup()
+      stream.destroy()
+      reject(err)
+    }
+    const flush = () => {
+      let msg
+      while ((msg = handshake.send()) !== null) { stream.write(encodeSegment(msg)) }
+    }
+    const finish = () => {
+      if (settled) { return }
+      cleanup()
+      resolve(createSecureStream(stream, handshake, decoder))
+    }
+    const onData = (chunk) => {
+      if (settled) { return }
+      try {
+        decoder.push(chunk)
+        let msg
+        while (!handshake.complete && (msg = decoder.read()) !== null) {
+          handshake.recv(msg)
+          flush()
+        }
+      } catch (err) {
+        return fail(err)
+      }
+      if (handshake.complete) { finish() }
+    }
+    const onEnd = () => fail(new CableDecodeError("stream ended during the handshake", { code: codes.TRUNCATED }))
+    const onError = (err) => fail(err)
+    stream.on("data", onData)
+    stream.on("end", onEnd)
+    stream.on("error", onError)
+    stream.on("close", onEnd)
+    try {
+      flush()
+    } catch (err) {
+      return fail(err)
+    }
+    // the initiator is done once it sent its last message
+    if (handshake.complete) { finish() }
+  })
+}
+
+// defines the stream class lazily, so that the rest of this module works in browsers without a polyfill (see framing.js)
+let SecureStreamClass = null
+function createSecureStream (stream, handshake, decoder) {
+  if (!SecureStreamClass) { SecureStreamClass = defineSecureStream(require("stream").Duplex) }
+  return new SecureStreamClass(stream, handshake, decoder)
+}
+
+function defineSecureStream (Duplex) {
+  return class SecureStream extends Duplex {
+    constructor (stream, handshake, decoder) {
+      super()
+      this.remotePublicKey = handshake.remotePublicKey
+      this._stream = stream
+      this._tx = handshake.tx
+      this._rx = handshake.rx
+      this._decoder = decoder
+      this._ended = false
+      this._onData = (chunk) => {
+        this._decoder.push(chunk)
+        this._drainSegments()
+      }
+      this._onEnd = () => {
+        if (this.destroyed) { return }
+        if (!this._ended) {
+          return this.destroy(new CableDecodeError("stream was cut off before the other peer ended it", { code: codes.TRUNCATED }))
+        }
+        this.push(null)
+      }
+      this._onError = (err) => this.destroy(err)
+      this._onClose = () => { if (!this._ended) { this._onEnd() } }
+      stream.on("data", this._onData)
+      stream.on("end", this._onEnd)
+      stream.on("error", this._onError)
+      stream.on("close", this._onClose)
+      // segments that arrived along with the last handshake message
+      process.nextTick(() => this._drainSegments())
+    }
+
+    _drainSegments () {
+      let segment
+      try {
+        while (!this.destroyed && (segment = this._decoder.read()) !== null) {
+          if (this._ended) {
+            throw new CableDecodeError("received data after the other peer ended the stream", { code: codes.LENGTH_MISMATCH })
+          }
+          const plaintext = this._rx.decrypt(b4a.alloc(0), segment)
+          if (plaintext.length === 0) {
+            this._ended = true
+            continue
+          }
+          if (!this.push(plaintext)) { this._stream.pause() }
+        }
+      } catch (err) {
+        this.destroy(err)
+      }
+    }
+
+    _read () {
+      this._stream.resume()
+    }
+
+    _write (chunk, encoding, done) {
+      let flushed = true
+      try {
+        for (let offset = 0; offset < chunk.length; offset += MAX_PLAINTEXT_SIZE) {
+          const segment = this._tx.encrypt(b4a.alloc(0), chunk.subarray(offset, offset + MAX_PLAINTEXT_SIZE))
+          flushed = this._stream.write(encodeSegment(segment))
+        }
+      } catch (err) {
+        return done(err)
+      }
+      if (flushed) { return done() }
+      // the underlying stream may close or fail instead of draining: the write must fail then, not hang
+      const stream = this._stream
+      const finish = (err) => {
+        stream.removeListener("drain", onDrain)
+        stream.removeListener("close", onClose)
+        stream.removeListener("error", onError)
+        done(err)
+      }
+      const onDrain = () => finish()
+      const onClose = () => finish(new CableEncodeError("stream closed while waiting for it to drain", { code: codes.STREAM_CLOSED }))
+      const onError = (err) => finish(err)
+      stream.on("drain", onDrain)
+      stream.on("close", onClose)
+      stream.on("error", onError)
+    }
+
+    _final (done) {
+      try {
+        this._stream.end(encodeSegment(this._tx.encrypt(b4a.alloc(0), b4a.alloc(0))))
+      } catch (err) {
+        return done(err)
+      }
+      done()
+    }
+
+    _destroy (err, done) {
+      this._stream.removeListener("data", this._onData)
+      this._stream.removeListener("end", this._onEnd)
+      this._stream.removeListener("error", this._onError)
+      this._stream.removeListener("close", this._onClose)
+      this._stream.destroy()
+      done(err)
+    }
+  }
+}
+
+function decryptionFailed () {
+  return new CableDecodeError("could not decrypt message: the peers don't share the same cabal key, or the message was altered", { code: codes.DECRYPTION_FAILED })
+}
+
+function hash (data) {
+  const out = b4a.alloc(HASHLEN)
+  sodium.crypto_generichash(out, data)
+  return out
+}
+
+function hmac (key, data) {
+  const block = b4a.alloc(BLOCKLEN)
+  b4a.copy(key.length > BLOCKLEN ? hash(key) : key, block)
+  const inner = b4a.alloc(BLOCKLEN)
+  const outer = b4a.alloc(BLOCKLEN)
+  for (let i = 0; i < BLOCKLEN; i++) {
+    inner[i] = block[i] ^ 0x36
+    outer[i] = block[i] ^ 0x5c
+  }
+  return hash(b4a.concat([outer, hash(b4a.concat([inner, data]))]))
+}
+
+// the noise HKDF: returns `count` outputs of HASHLEN bytes derived from chaining key ck and input key material ikm
+function hkdf (ck, ikm, count) {
+  const temp = hmac(ck, ikm)
+  const outputs = []
+  let previous = b4a.alloc(0)
+  for (let i = 1; i <= count; i++) {
+    previous = hmac(temp, b4a.concat([previous, b4a.from([i])]))
+    outputs.push(previous)
+  }
+  return outputs
+}
+
+function isBufferSize (value, size) {
+  return b4a.isBuffer(value) && value.length === size
+}
+
+module.exports = {
+  Handshake,
+  CipherState,
+  secureStream,
+  MAX_PLAINTEXT_SIZE
+}
@@ -0,0 +1,152 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// text forms of public keys and post hashes, for showing them to people and having them shared by hand. an identifier
+// is a type prefix followed by the base32 encoding (rfc 4648, lowercase, unpadded) of the bytes and a checksum:
+//
+//   key_<58 base32 characters>    a public key
+//   post_<58 base32 characters>   the hash of a post
+//
+// the checksum covers the prefix too, so a mistyped character or an identifier relabeled as another type fails to
+// parse. fingerprint() derives a short form for displaying identities side by side; being short, it is not unique,
+// and comparing identities for anything beyond display should use the full identifier
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const { CableEncodeError, CableDecodeError, codes } = require("./errors.js")
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567"
+const CHECKSUM_SIZE = 4
+const FINGERPRINT_SIZE = 10
+
+const TYPES = {
+  key: { size: constants.PUBLICKEY_SIZE, field: "publicKey" },
+  post: { size: constants.HASH_SIZE, field: "hash" }
+}
+
+function encodePublicKey (publicKey) {
+  return encodeIdentifier("key", publicKey)
+}
+
+function encodePostHash (hash) {
+  return encodeIdentifier("post", hash)
+}
+
+// returns the public key held by identifier, throwing if it is malformed or identifies something else
+function decodePublicKey (identifier) {
+  return decodeIdentifier(identifier, "key").bytes
+}
+
+// returns the post hash held by identifier, throwing if it is malformed or identifies something else
+function decodePostHash (identifier) {
+  return decodeIdentifier(identifier, "post").bytes
+}
+
+// parses an identifier of any type, returning { type, bytes } where type is "key" or "post"
+function parseIdentifier (identifier) {
+  return decodeIdentifier(identifier)
+}
+
+// returns a short fingerprint of a public key (or of a post hash), as four groups of four characters, e.g.
+// "k4xw-q2ma-7hpd-zn3e". takes the buffer or its identifier
+function fingerprint (value) {
+  const bytes = typeof value === "string" ? decodeIdentifier(value).bytes : value
+  if (!isIdentifierBytes(bytes)) {
+    throw new CableEncodeError("expected a public key, a post hash or an identifier", { code: codes.INVALID_TYPE, field: "value" })
+  }
+  const digits = base32Encode(crypto.hash(bytes).subarray(0, FINGERPRINT_SIZE))
+  return digits.match(/.{4}/g).join("-")
+}
+
+function encodeIdentifier (type, bytes) {
+  const { size, field } = TYPES[type]
+  if (!b4a.isBuffer(bytes) || bytes.length !== size) {
+    throw new CableEncodeError(`expected ${field} to be a buffer of ${size} bytes`, { code: codes.INVALID_TYPE, field, expected: size })
+  }
+  return `${type}_${base32Encode(b4a.concat([bytes, checksum(type, bytes)]))}`
+}
+
+// decodes an identifier, checking that it is of expectedType if given
+function decodeIdentifier (identifier, expectedType) {
+  if (typeof identifier !== "string") {
+    throw new CableEncodeError("expected identifier to be a string", { code: codes.INVALID_TYPE, field: "identifier" })
+  }
+  const normalized = identifier.trim().toLowerCase()
+  const separator = normalized.indexOf("_")
+  const type = normalized.slice(0, Math.max(separator, 0))
+  if (!TYPES.hasOwnProperty(type)) {
+    throw new CableDecodeError(`expected identifier to start with ${Object.keys(TYPES).map(t => `${t}_`).join(" or ")}`, { code: codes.UNKNOWN_VALUE, field: "identifier" })
+  }
+  if (expectedType && type !== expectedType) {
+    throw new CableDecodeError(`expected a ${expectedType} identifier; was a ${type} identifier`, { code: codes.WRONG_TYPE, field: "identifier", expected: expectedType, actual: type })
+  }
+  const { size } = TYPES[type]
+  const decoded = base32Decode(normalized.slice(separator + 1))
+  if (decoded === null) {
+    throw new CableDecodeError("identifier is not valid base32", { code: codes.INVALID_TYPE, field: "identifier" })
+  }
+  if (decoded.length !== size + CHECKSUM_SIZE) {
+    throw new CableDecodeError(`expected a ${type} identifier to hold ${size + CHECKSUM_SIZE} bytes; held ${decoded.length}`, { code: codes.LENGTH_MISMATCH, field: "identifier", expected: size + CHECKSUM_SIZE, actual: decoded.length })
+  }
+  const bytes = decoded.subarray(0, size)
+  if (!b4a.equals(decoded.subarray(size), checksum(type, bytes))) {
+    throw new CableDecodeError("identifier does not match its checksum; check it for typos", { code: codes.INVALID_CHECKSUM, field: "identifier" })
+  }
+  return { type, bytes: b4a.from(bytes) }
+}
+
+function checksum (type, bytes) {
+  return crypto.hash(b4a.concat([b4a.from(`${type}_`), bytes])).subarray(0, CHECKSUM_SIZE)
+}
+
+function isIdentifierBytes (bytes) {
+  return b4a.isBuffer(bytes) && (bytes.length === constants.PUBLICKEY_SIZE || bytes.length === constants.HASH_SIZE)
+}
+
+function base32Encode (buf) {
+  let out = ""
+  let bits = 0
+  let value = 0
+  for (const byte of buf) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) { out += BASE32_ALPHABET[(value << (5 - bits)) & 31] }
+  return out
+}
+
+// returns the decoded bytes, or null if str contains anything but base32 digits, has a trailing digit that holds no
+// bits of the bytes, or leaves nonzero padding bits
+function base32Decode (str) {
+  const out = b4a.alloc(Math.floor(str.length * 5 / 8))
+  let bits = 0
+  let value = 0
+  let offset = 0
+  for (const char of str) {
+    const digit = BASE32_ALPHABET.indexOf(char)
+    if (digit === -1) { return null }
+    value = ((value << 5) | digit) & 0xfff
+    bits += 5
+    if (bits >= 8) {
+      out[offset++] = (value >>> (bits - 8)) & 0xff
+      bits -= 8
+    }
+  }
+  // the padding must be shorter than a digit and its bits zero, so that every sequence of bytes has exactly one encoding
+  if (bits >= 5 || (value & ((1 << bits) - 1)) !== 0) { return null }
+  return out
+}
+
+module.exports = {
+  encodePublicKey,
+  decodePublicKey,
+  encodePostHash,
+  decodePostHash,
+  parseIdentifier,
+  fingerprint
+}
@@ -4,268 +4,108 @@
 
 // all uses of "buffer" refer to the structure represented by b4a: 
 // i.e. a nodejs buffer if running nodejs, or a Uint8Array in the web
+//
+// each class below is a thin wrapper around the schema of its type (see schemas.js), from which codec.js derives
+// encoding, decoding and validation
 const b4a = require("b4a")
 const constants = require("./constants.js")
-const varint = require("varint")
 const crypto = require("./cryptography.js")
-const validation = require("./validation.js")
-
-const EMPTY_CIRCUIT_ID = b4a.alloc(4, 0)
-
-// TODO (2023-01-11): 
-// would like to abstract away `offset += varint.decode.bytes` in case we swap library / opt for self-authored standard
-
-// TODO (2023-04-18): introduce specific error classes to be able to distinguish between e.g. missing # of parameters (fatal impl error) and lengths of strings (user behaviour, recoverable)
-
-const LINKS_EXPECTED = new Error("expected links to contain an array of hash-sized buffers")
-const ARRAY_POSTS_EXPECTED = new Error("expected recipients to contain an array of hash-sized buffers")
-const ARRAY_KEYS_EXPECTED = new Error("expected recipients to contain an array of publicKey-sized buffers")
-const EMPTY_RECIPIENTS_EXPECTED = new Error("expected recipients to be length zero")
-const HASHES_EXPECTED = new Error("expected hashes to contain an array of hash-sized buffers")
-const STRINGS_EXPECTED = new Error("expected channels to contain an array of strings")
-function unknownInfoKey (key) {
-  return new Error(`expected post/info key to be either 'name' or 'accept-role'; was ${key}}`)
-}
-function bufferExpected (param, size) {
-  return new Error(`expected ${param} to be a buffer of size ${size}`)
-}
-function bufferExpectedMax (param, max, actual) {
-  return new Error(`expected ${param} to be a buffer of at most ${max} bytes; was ${actual}`)
-}
-function integerExpected (param) {
-  return new Error(`expected ${param} to be an integer`)
-}
-function stringExpected (param) {
-  return new Error(`expected ${param} to be a string`)
-}
-function emptyExpected (param) {
-  return new Error(`expected ${param} to be the empty string`)
-}
-function ttlRangeExpected (param) {
-  return new Error(`expected ttl to be between 0 and 16, was ${param}`)
-}
-
-function wrongNumberArguments(count, actual, functionSignature) {
- return new Error(`${functionSignature} expected ${count} arguments but received ${actual}`) 
-}
+const schemas = require("./schemas.js")
+const { verifyPost, verifyPosts } = require("./verifier.js")
+const { VerificationCache } = require("./verification-cache.js")
+const { encodeArgs, encodeArgsAsync, encodeOptions, encodeOptionsAsync, encodeUnsignedArgs, encodeUnsignedOptions, writeSignature, encode: encodeSchema, decode, decodeLeniently, decodeLimits, checkRemaining, checkCount, decodeVarint, encodeVarintBuffer } = require("./codec.js")
+const { CableEncodeError, CableDecodeError, CableValidationError, codes } = require("./errors.js")
 
 class HASH_RESPONSE {
+  // constructs a buffer using the incoming arguments
   static create(reqid, hashes) {
-    if (arguments.length !== 2) { throw wrongNumberArguments(2, arguments.length, "create(reqid, hashes)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    const size = determineBufferSize([
-      {v: constants.HASH_RESPONSE},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE}, 
-      {h: hashes.length}
-    ]) 
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.HASH_RESPONSE, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write amount of hashes (hash_count)
-    offset += writeVarint(hashes.length, frame, offset)
-    // 5. write the hashes themselves
-    hashes.forEach(hash => {
-      offset += b4a.copy(hash, frame, offset)
-    })
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
+    return encodeArgs(schemas.HASH_RESPONSE, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.HASH_RESPONSE, opts)
+  }
+
+  // takes a buffer and returns the json object:
   // { msgLen, msgType, reqid, hashes }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.HASH_RESPONSE) {
-      throw new Error("decoded msgType is not of expected type (constants.HASH_RESPONSE)")
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    offset += constants.REQID_SIZE
-    // 5. get hashCount
-    const hashCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 6. use hashCount to slice out the hashes
-    let hashes = []
-    for (let i = 0; i < hashCount; i++) {
-      hashes.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
+  static toJSON(buf, opts) {
+    return decode(schemas.HASH_RESPONSE, buf, opts)
+  }
 
-    return { msgLen, msgType, reqid, hashes }
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.HASH_RESPONSE, obj)
   }
 }
 
 class POST_RESPONSE {
+  // constructs a buffer using the incoming arguments
   static create(reqid, posts) {
-    if (arguments.length !== 2) { throw wrongNumberArguments(2, arguments.length, "create(reqid, posts)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isArrayData(posts)) { throw new Error(`expected posts to be a buffer`) }
-
-    const size = determineBufferSize([
-      {v: constants.POST_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {b: countPostsBytes(posts)},
-      {v: 0} // concluding postLen = 0
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.POST_RESPONSE, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. exhaust array of posts
-    for (let i = 0; i < posts.length; i++) {
-      // 4.1 write postLen 
-      offset += writeVarint(posts[i].length, frame, offset)
-      // 4.2 then write the post itself
-      offset += b4a.copy(posts[i], frame, offset)
-    }
-    // 4.3 finally: write postLen = 0 to signal end of data
-    offset += writeVarint(0, frame, offset)
-    return prependMsgLen(frame)
+    return encodeArgs(schemas.POST_RESPONSE, arguments)
   }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, data}
-  static toJSON(buf) {
-    let offset = 0
-    let msgLenBytes
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    msgLenBytes = varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.POST_RESPONSE) {
-      throw new Error("decoded msgType is not of expected type (constants.POST_RESPONSE)")
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    offset += constants.REQID_SIZE
-    // 5. remaining buffer consists of [postLen, post] segments
-    // read until it runs out
-    let posts = []
-    // msgLen tells us the number of bytes in the remaining message i.e. *excluding* msgLen, 
-    // so we need to account for that by adding msgLenBytes
-    let remaining = msgLen - offset + msgLenBytes
-    while (remaining > 0) {
-      const postLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-      // if postLen === 0 then we have no more posts
-      if (postLen === 0) { break }
-      // 6. use postLen to slice out the hashes
-      posts.push(buf.slice(offset, offset + postLen))
-      offset += postLen
-      
-      remaining = msgLen - offset + msgLenBytes
-    }
 
-    return { msgLen, msgType, reqid, posts }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.POST_RESPONSE, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { msgLen, msgType, reqid, posts }
+  // with { hash: true }, posts holds { hash, post } pairs instead of bare post buffers
+  static toJSON(buf, opts) {
+    return decode(schemas.POST_RESPONSE, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.POST_RESPONSE, obj)
   }
 }
 
+class CHANNEL_LIST_RESPONSE {
+  // constructs a buffer using the incoming arguments
+  static create(reqid, channels) {
+    return encodeArgs(schemas.CHANNEL_LIST_RESPONSE, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.CHANNEL_LIST_RESPONSE, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { msgLen, msgType, reqid, channels }
+  static toJSON(buf, opts) {
+    return decode(schemas.CHANNEL_LIST_RESPONSE, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.CHANNEL_LIST_RESPONSE, obj)
+  }
+}
 
 class POST_REQUEST {
-  // constructs a message buffer using the incoming arguments
+  // constructs a buffer using the incoming arguments
   static create(reqid, ttl, hashes) {
-    if (arguments.length !== 3) { throw wrongNumberArguments(3, arguments.length, "create(reqid, ttl, hashes)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    const size = determineBufferSize([
-      {v: constants.POST_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {v: ttl},
-      {h: hashes.length}
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.POST_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write amount of hashes (hash_count varint)
-    offset += writeVarint(hashes.length, frame, offset)
-    // 6. write the hashes themselves
-    hashes.forEach(hash => {
-      offset += b4a.copy(hash, frame, offset)
-    })
-    return prependMsgLen(frame)
-  }
-
-  // takes a message buffer and returns the json object: 
+    return encodeArgs(schemas.POST_REQUEST, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.POST_REQUEST, opts)
+  }
+
+  // takes a buffer and returns the json object:
   // { msgLen, msgType, reqid, ttl, hashes }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.POST_REQUEST) {
-      throw new Error("decoded msgType is not of expected type (constants.POST_REQUEST)")
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    offset += constants.REQID_SIZE
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get hashCount
-    const hashCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. use hashCount to slice out the hashes
-    let hashes = []
-    for (let i = 0; i < hashCount; i++) {
-      hashes.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
+  static toJSON(buf, opts) {
+    return decode(schemas.POST_REQUEST, buf, opts)
+  }
 
-    return { msgLen, msgType, reqid, ttl, hashes }
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.POST_REQUEST, obj)
   }
 
   static decrementTTL(buf) {
@@ -274,165 +114,48 @@ class POST_REQUEST {
 }
 
 class CANCEL_REQUEST {
-  // constructs a message buffer using the incoming arguments
+  // constructs a buffer using the incoming arguments
   static create(reqid, ttl, cancelid) {
-    if (arguments.length !== 3) { throw wrongNumberArguments(3, arguments.length, "create(reqid, ttl, cancelid)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isBufferSize(cancelid, constants.REQID_SIZE)) { throw bufferExpected("cancelid", constants.REQID_SIZE) }
-
-    const size = determineBufferSize([
-      {v: constants.CANCEL_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {v: ttl},
-      {b: constants.REQID_SIZE} // cancelid
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CANCEL_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 3. write ttl (unused)
-    offset += writeVarint(ttl, frame, offset)
-    // 4. write cancelid
-    offset += b4a.copy(cancelid, frame, offset)
-
-    return prependMsgLen(frame)
-  }
-
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, cancelid }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CANCEL_REQUEST) {
-      throw new Error("decoded msgType is not of expected type (constants.CANCEL_REQUEST)")
-    }
+    return encodeArgs(schemas.CANCEL_REQUEST, arguments)
+  }
 
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    // 5. get ttl (unused for cancel request)
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get cancelid
-    const cancelid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.CANCEL_REQUEST, opts)
+  }
 
-    return { msgLen, msgType, reqid, ttl, cancelid }
+  // takes a buffer and returns the json object:
+  // { msgLen, msgType, reqid, ttl, cancelid }
+  static toJSON(buf, opts) {
+    return decode(schemas.CANCEL_REQUEST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.CANCEL_REQUEST, obj)
   }
 }
 
 class TIME_RANGE_REQUEST {
+  // constructs a buffer using the incoming arguments
   static create(reqid, ttl, channel, timeStart, timeEnd, limit) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(reqid, ttl, channel, timeStart, timeEnd, limit)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isNonNegativeInteger(timeStart)) { throw integerExpected("timeStart") }
-    if (!isNonNegativeInteger(timeEnd)) { throw integerExpected("timeEnd") }
-    if (!isInteger(limit)) { throw integerExpected("limit") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-
-    const size = determineBufferSize([
-      {v: constants.TIME_RANGE_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {v: ttl},
-      {s: channelBuf.length},
-      {v: timeStart},
-      {v: timeEnd},
-      {v: limit}
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.TIME_RANGE_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write channel_len
-    offset += writeVarint(channelBuf.length, frame, offset)
-    // 6. write the channel
-    offset += b4a.copy(channelBuf, frame, offset)
-    // 7. write time_start
-    offset += writeVarint(timeStart, frame, offset)
-    // 8. write time_end
-    offset += writeVarint(timeEnd, frame, offset)
-    // 9. write limit
-    offset += writeVarint(limit, frame, offset)
-    return prependMsgLen(frame)
-  }
-  
-  // takes a message buffer and returns the json object: 
+    return encodeArgs(schemas.TIME_RANGE_REQUEST, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.TIME_RANGE_REQUEST, opts)
+  }
+
+  // takes a buffer and returns the json object:
   // { msgLen, msgType, reqid, ttl, channel, timeStart, timeEnd, limit }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.TIME_RANGE_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.TIME_RANGE_REQUEST)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. use channelLen to slice out the channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = b4a.toString(channelBuf, "utf8")
-    // 8. get timeStart
-    const timeStart = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timeStart)) { throw integerExpected("timeStart") }
-    // 9. get timeEnd
-    const timeEnd = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timeEnd)) { throw integerExpected("timeEnd") }
-    // 10. get limit
-    const limit = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-
-    return { msgLen, msgType, reqid, ttl, channel, timeStart, timeEnd, limit }
+  static toJSON(buf, opts) {
+    return decode(schemas.TIME_RANGE_REQUEST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.TIME_RANGE_REQUEST, obj)
   }
 
   static decrementTTL(buf) {
@@ -441,85 +164,25 @@ class TIME_RANGE_REQUEST {
 }
 
 class CHANNEL_STATE_REQUEST {
+  // constructs a buffer using the incoming arguments
   static create(reqid, ttl, channel, future) {
-    if (arguments.length !== 4) { throw wrongNumberArguments(4, arguments.length, "create(reqid, ttl, channel, future)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(future)) { throw integerExpected("future") }
-    validation.checkFuture(future)
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-
-    const size = determineBufferSize([
-      {v: constants.CHANNEL_STATE_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {v: ttl},
-      {s: channelBuf.length},
-      {v: future},
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CHANNEL_STATE_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write channel_len
-    offset += writeVarint(channelBuf.length, frame, offset)
-    // 6. write the channel
-    offset += b4a.copy(channelBuf, frame, offset)
-    // 7. write future
-    offset += writeVarint(future, frame, offset)
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
+    return encodeArgs(schemas.CHANNEL_STATE_REQUEST, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.CHANNEL_STATE_REQUEST, opts)
+  }
+
+  // takes a buffer and returns the json object:
   // { msgLen, msgType, reqid, ttl, channel, future }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CHANNEL_STATE_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.CHANNEL_STATE_REQUEST)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. use channelLen to slice out channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = b4a.toString(channelBuf, "utf8")
-    // 8. get future
-    const future = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    validation.checkFuture(future)
-
-    return { msgLen, msgType, reqid, ttl, channel, future }
+  static toJSON(buf, opts) {
+    return decode(schemas.CHANNEL_STATE_REQUEST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.CHANNEL_STATE_REQUEST, obj)
   }
 
   static decrementTTL(buf) {
@@ -528,269 +191,52 @@ class CHANNEL_STATE_REQUEST {
 }
 
 class CHANNEL_LIST_REQUEST {
-  static create(reqid, ttl, argOffset, limit) {
-    if (arguments.length !== 4) { throw wrongNumberArguments(4, arguments.length, "create(reqid, ttl, offset, limit)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isInteger(argOffset)) { throw integerExpected("offset") }
-    if (!isInteger(limit)) { throw integerExpected("limit") }
-
-    const size = determineBufferSize([
-      {v: constants.CHANNEL_LIST_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {v: ttl},
-      {v: argOffset},
-      {v: limit}
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CHANNEL_LIST_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write offset 
-    offset += writeVarint(argOffset, frame, offset)
-    // 6. write limit 
-    offset += writeVarint(limit, frame, offset)
-
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, ttl, limit }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CHANNEL_LIST_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.CHANNEL_LIST_REQUEST)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get offset
-    const argOffset = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get limit
-    const limit = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+  // constructs a buffer using the incoming arguments
+  static create(reqid, ttl, offset, limit) {
+    return encodeArgs(schemas.CHANNEL_LIST_REQUEST, arguments)
+  }
 
-    return { msgLen, msgType, reqid, ttl, offset: argOffset, limit }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.CHANNEL_LIST_REQUEST, opts)
   }
 
-  static decrementTTL(buf) {
-    return insertNewTTL(buf, constants.CHANNEL_LIST_REQUEST)
+  // takes a buffer and returns the json object:
+  // { msgLen, msgType, reqid, ttl, offset, limit }
+  static toJSON(buf, opts) {
+    return decode(schemas.CHANNEL_LIST_REQUEST, buf, opts)
   }
-}
 
-class CHANNEL_LIST_RESPONSE {
-  static create(reqid, channels) {
-    if (arguments.length !== 2) { throw wrongNumberArguments(2, arguments.length, "create(reqid, channels)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isArrayString(channels)) { throw STRINGS_EXPECTED }
-
-    const size = determineBufferSize([
-      {v: constants.CHANNEL_LIST_RESPONSE},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {b: countChannelsBytes(channels)},
-      {v: 0} // concluding channelLen = 0
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CHANNEL_LIST_RESPONSE, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write channels
-    channels.forEach(channel => {
-      // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-      const channelBuf = b4a.from(channel, "utf8")
-      validation.checkChannelName(channelBuf)
-      // 4.1 write channelLen
-      offset += writeVarint(channelBuf.length, frame, offset)
-      // 4.2 write channel
-      offset += b4a.copy(channelBuf, frame, offset)
-    })
-    // 4.3 finally: write a channelLen = 0 to signal end of channel data
-    offset += writeVarint(0, frame, offset)
-
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, channels }
-  static toJSON(buf) {
-    let offset = 0
-    let msgLenBytes 
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    msgLenBytes = varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CHANNEL_LIST_RESPONSE) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.CHANNEL_LIST_RESPONSE)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 5. get channels
-    const channels = []
-    // msgLen tells us the number of bytes in the remaining message i.e. *excluding* msgLen, 
-    // so we need to account for that by adding msgLenBytes
-    let remaining = msgLen - offset + msgLenBytes
-    while (remaining > 0) {
-    // get channel size
-      const channelLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-      // if channelLen === 0 then we have no more channels in this response
-      if (channelLen === 0) { break }
-      // 6. use channelLen to slice out the channel
-      const channelBuf = buf.slice(offset, offset + channelLen)
-      offset += channelLen
-      validation.checkChannelName(channelBuf)
-      const channel = b4a.toString(channelBuf, "utf8")
-      channels.push(channel)
-      remaining = msgLen - offset + msgLenBytes
-    }
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.CHANNEL_LIST_REQUEST, obj)
+  }
 
-    return { msgLen, msgType, reqid, channels }
+  static decrementTTL(buf) {
+    return insertNewTTL(buf, constants.CHANNEL_LIST_REQUEST)
   }
 }
 
 class MODERATION_STATE_REQUEST {
+  // constructs a buffer using the incoming arguments
   static create(reqid, ttl, channels, future, oldest) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(reqid, channels, future, oldest)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!isArrayString(channels)) { throw STRINGS_EXPECTED }
-    if (!isInteger(future)) { throw integerExpected("future") }
-    validation.checkFuture(future)
-    if (!isNonNegativeInteger(oldest)) { throw integerExpected("oldest") }
-
-    const size = determineBufferSize([
-      {v: constants.MODERATION_STATE_REQUEST},
-      {b: constants.CIRCUITID_SIZE},
-      {b: constants.REQID_SIZE},
-      {v: ttl},
-      {b: countChannelsBytes(channels)},
-      {v: 0}, // concluding channelLen = 0
-      {v: future},
-      {v: oldest}
-    ])
-
-    // allocate exactly-sized buffer
-    const frame = b4a.alloc(size)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.MODERATION_STATE_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += b4a.copy(EMPTY_CIRCUIT_ID, frame, offset)
-    // 3. write reqid
-    offset += b4a.copy(reqid, frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write channels
-    channels.forEach(channel => {
-      // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-      const channelBuf = b4a.from(channel, "utf8")
-      validation.checkChannelName(channelBuf)
-      // 5.1 write channelLen
-      offset += writeVarint(channelBuf.length, frame, offset)
-      // 5.2 write channel
-      offset += b4a.copy(channelBuf, frame, offset)
-    })
-    // 5.3 finally: write a channelLen = 0 to signal end of channel data
-    offset += writeVarint(0, frame, offset)
-    // 6. write future varint
-    offset += writeVarint(future, frame, offset)
-    // 7. write oldest varint
-    offset += writeVarint(oldest, frame, offset)
-
-    return prependMsgLen(frame)
-  }
-
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, channels, future, oldest }
-  static toJSON(buf) {
-    let offset = 0
-    let msgLenBytes 
-    // 0. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    msgLenBytes = varint.decode.bytes
-    if (!isBufferSize(buf.slice(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 1. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.MODERATION_STATE_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.MODERATION_STATE_REQUEST)`)
-    }
-    // 2. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 3. get reqid
-    const reqid = buf.slice(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 4. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangeCorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 5. get channels
-    const channels = []
-    // msgLen tells us the number of bytes in the remaining message i.e. *excluding* msgLen, 
-    // so we need to account for that by adding msgLenBytes
-    let remaining = msgLen - offset + msgLenBytes
-    while (remaining > 0) {
-    // 5.1 get channel size
-      const channelLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-      // 5.3 if channelLen === 0 then we have no more channels in this response
-      if (channelLen === 0) { break }
-      // 5.2. use channelLen to slice out the channel
-      const channelBuf = buf.slice(offset, offset + channelLen)
-      offset += channelLen
-      validation.checkChannelName(channelBuf)
-      const channel = b4a.toString(channelBuf, "utf8")
-      channels.push(channel)
-      remaining = msgLen - offset + msgLenBytes
-    }
-    // 6. get future
-    const future = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get oldest
-    const oldest = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+    return encodeArgs(schemas.MODERATION_STATE_REQUEST, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.MODERATION_STATE_REQUEST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { msgLen, msgType, reqid, ttl, channels, future, oldest }
+  static toJSON(buf, opts) {
+    return decode(schemas.MODERATION_STATE_REQUEST, buf, opts)
+  }
 
-    return { msgLen, msgType, reqid, ttl, channels, future, oldest }
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer
+  static fromJSON(obj) {
+    return encodeSchema(schemas.MODERATION_STATE_REQUEST, obj)
   }
 
   static decrementTTL(buf) {
@@ -799,812 +245,299 @@ class MODERATION_STATE_REQUEST {
 }
 
 class TEXT_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, channel, timestamp, text) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(publicKey, secretKey, links, channel, timestamp, text)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isString(text)) { throw stringExpected("text") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    const textBuf = b4a.from(text, "utf8")
-    validation.checkPostText(textBuf)
-
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.TEXT_POST},
-      {v: timestamp},
-      {s: channelBuf.length},
-      {s: textBuf.length}
-    ]) 
-    
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.TEXT_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += b4a.copy(channelBuf, buf, offset)
-    // 9. write textLen
-    offset += writeVarint(textBuf.length, buf, offset)
-    // 10. write the text
-    offset += b4a.copy(textBuf, buf, offset)
-
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp, text }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
+    return encodeArgs(schemas.TEXT_POST, arguments)
+  }
 
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.TEXT_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.TEXT_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = b4a.toString(channelBuf, "utf8")
-    // 9. get textLen
-    const textLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. use textLen to get text
-    const textBuf = buf.slice(offset, offset + textLen)
-    offset += textLen
-    validation.checkPostText(textBuf)
-    const text = b4a.toString(textBuf, "utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp, text }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.TEXT_POST, opts)
+  }
+
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, channel, timestamp, text) {
+    return encodeArgsAsync(schemas.TEXT_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.TEXT_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, channel, timestamp, text) {
+    return encodeUnsignedArgs(schemas.TEXT_POST, arguments)
+  }
+
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.TEXT_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, channel, text }
+  static toJSON(buf, opts) {
+    return decode(schemas.TEXT_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.TEXT_POST, obj)
   }
 }
 
 class DELETE_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, timestamp, hashes) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, timestamp, hash)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.DELETE_POST},
-      {v: timestamp},
-      {h: hashes.length}
-    ]) 
-    
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.DELETE_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write num_deletions, which represents how many hashes we are requesting peers to delete
-    offset += writeVarint(hashes.length, buf, offset)
-    // 8. write the hashes themselves
-    hashes.forEach(hash => {
-      offset += b4a.copy(hash, buf, offset)
-    })
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, timestamp, hash }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.DELETE_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.DELETE_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get num_deletions
-    const numDeletions = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    let hashes = []
-    // 8. get the hashes
-    for (let i = 0; i < numDeletions; i++) {
-      hashes.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
+    return encodeArgs(schemas.DELETE_POST, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.DELETE_POST, opts)
+  }
 
-    return { publicKey, signature, links, postType, timestamp, hashes }
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, timestamp, hashes) {
+    return encodeArgsAsync(schemas.DELETE_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.DELETE_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, timestamp, hashes) {
+    return encodeUnsignedArgs(schemas.DELETE_POST, arguments)
+  }
+
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.DELETE_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, hashes }
+  static toJSON(buf, opts) {
+    return decode(schemas.DELETE_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.DELETE_POST, obj)
   }
 }
-  
-// kvarr is a list of pairs [key, value]
+
+// info is a list of pairs [key, value], or a Map of key to value
 // TODO (2023-02-16): use [{"key": key, "value": value}] pairs instead of map?
 // example usage inside cable-core infoHelper.name(bap) -> [{"key": "name", value: bap}]
 class INFO_POST {
-  static create(publicKey, secretKey, links, timestamp, kvarr) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, timestamp, kvarr)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-
-    const kvBufs = []
-    const kvSize = [] // used in determineBufferSize call below the loop
-    for (let [key, value] of kvarr) {
-      if (!isString(key)) { throw stringExpected("key") }
-      // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-      const keyBuf = b4a.from(key, "utf8")
-      validation.checkInfoKey(keyBuf)
-      kvSize.push({s: keyBuf.length})
-
-      // fill the value buf conditionally on which key it is the value for
-      let valueBuf
-      switch (key) {
-        case "name":
-          if (!isString(value)) { throw stringExpected("value") }
-          valueBuf = b4a.from(value, "utf8")
-          validation.checkUsername(valueBuf)
-          break
-        case "accept-role":
-          if (!isInteger(value)) { throw integerExpected("value") }
-          valueBuf = encodeVarintBuffer(value)
-          validation.checkAcceptRole(valueBuf)
-          break
-        default:
-          throw unknownInfoKey(key)
-      }
-      validation.checkInfoValue(valueBuf)
-      kvSize.push({s: valueBuf.length})
-
-      kvBufs.push([keyBuf, valueBuf])
-    }
+  // constructs a buffer using the incoming arguments
+  static create(publicKey, secretKey, links, timestamp, info) {
+    return encodeArgs(schemas.INFO_POST, arguments)
+  }
+
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.INFO_POST, opts)
+  }
 
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.INFO_POST},
-      {v: timestamp},
-      ...kvSize,
-      {v: 0} // concluding keyN_len = 0
-    ]) 
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, timestamp, info) {
+    return encodeArgsAsync(schemas.INFO_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.INFO_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-
-    // iterate over the various keys and their values of which this post/info consists
-    for (let [keyBuf, valueBuf] of kvBufs) {
-      // 7. write keyLen
-      offset += writeVarint(keyBuf.length, buf, offset)
-      // 8. write the key
-      offset += b4a.copy(keyBuf, buf, offset)
-      // 9. write valueLen
-      offset += writeVarint(valueBuf.length, buf, offset)
-      // 10. write the value
-      offset += b4a.copy(valueBuf, buf, offset)
-    }
-    // 11. finally: signal end of key-val list by writing keyN_len = 0
-    offset += writeVarint(0, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.INFO_POST, opts)
+  }
 
-    return buf
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, timestamp, info) {
+    return encodeUnsignedArgs(schemas.INFO_POST, arguments)
   }
 
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, timestamp, info (a map)}
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.INFO_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.INFO_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-
-    const info = new Map()
-
-    // iterate over and extract the various keys and their values of which this post/info consists
-    while (true) {
-      // 7. get keyLen
-      const keyLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-     
-      // if keyLen === 0 then we have no more key value pairs in this response
-      if (keyLen === 0) { break }
-
-      // 8. use keyLen to get key
-      const keyBuf = buf.slice(offset, offset + keyLen)
-      offset += keyLen
-      validation.checkInfoKey(keyBuf)
-      const key = b4a.toString(keyBuf, "utf8")
-      // 9. get valueLen
-      const valueLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-      // 10. use valueLen to get value
-      const valueBuf = buf.slice(offset, offset + valueLen)
-      offset += valueLen
-      validation.checkInfoValue(valueBuf)
-      let value 
-      switch (key) {
-        case "name":
-          validation.checkUsername(valueBuf)
-          value = b4a.toString(valueBuf, "utf8")
-          break
-        case "accept-role":
-          validation.checkAcceptRole(valueBuf)
-          value = varint.decode(valueBuf)
-          break
-        default:
-          throw unknownInfoKey(key)
-      }
-      info.set(key, value)
-    }
-    // TODO (2023-07-12): if spec's post/info is expanded with more than 1 key (name), improve this routine
-    // 11. get terminating keyN_len (should be zero)
-    // const finalValueLen = decodeVarintSlice(buf, offset)
-    // offset += varint.decode.bytes
-    if (offset !== buf.length) {
-      return new Error(`"post/info: final keyN_len was 0 and the buffer should contain no more bytes; contains an additional ${buf.length - offset} bytes`)
-    }
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.INFO_POST, opts)
+  }
 
-    return { publicKey, signature, links, postType, timestamp, info }
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, info (a map) }
+  static toJSON(buf, opts) {
+    return decode(schemas.INFO_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.INFO_POST, obj)
   }
 }
 
 class TOPIC_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, channel, timestamp, topic) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(publicKey, secretKey, links, channel, timestamp, topic)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isString(topic)) { throw stringExpected("topic") }
-    
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    const topicBuf = b4a.from(topic, "utf8")
-    validation.checkTopic(topicBuf)
-
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.TOPIC_POST},
-      {v: timestamp},
-      {s: channelBuf.length},
-      {s: topicBuf.length}
-    ]) 
+    return encodeArgs(schemas.TOPIC_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.TOPIC_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += b4a.copy(channelBuf, buf, offset)
-    // 9. write topicLen
-    offset += writeVarint(topicBuf.length, buf, offset)
-    // 10. write the topic
-    offset += b4a.copy(topicBuf, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp, topic }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.TOPIC_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.TOPIC_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = b4a.toString(channelBuf, "utf8")
-    // 9. get topicLen
-    const topicLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. use topicLen to get topic
-    const topicBuf = buf.slice(offset, offset + topicLen)
-    offset += topicLen
-    validation.checkTopic(topicBuf)
-    const topic = b4a.toString(topicBuf, "utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp, topic }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.TOPIC_POST, opts)
+  }
+
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, channel, timestamp, topic) {
+    return encodeArgsAsync(schemas.TOPIC_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.TOPIC_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, channel, timestamp, topic) {
+    return encodeUnsignedArgs(schemas.TOPIC_POST, arguments)
+  }
+
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.TOPIC_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, channel, topic }
+  static toJSON(buf, opts) {
+    return decode(schemas.TOPIC_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.TOPIC_POST, obj)
   }
 }
 
 class JOIN_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, channel, timestamp) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, channel, timestamp)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.JOIN_POST},
-      {v: timestamp},
-      {s: channelBuf.length}
-    ])
+    return encodeArgs(schemas.JOIN_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.JOIN_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += b4a.copy(channelBuf, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.JOIN_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.JOIN_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = b4a.toString(channelBuf, "utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.JOIN_POST, opts)
+  }
+
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, channel, timestamp) {
+    return encodeArgsAsync(schemas.JOIN_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.JOIN_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, channel, timestamp) {
+    return encodeUnsignedArgs(schemas.JOIN_POST, arguments)
+  }
+
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.JOIN_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, channel }
+  static toJSON(buf, opts) {
+    return decode(schemas.JOIN_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.JOIN_POST, obj)
   }
 }
 
 class LEAVE_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, channel, timestamp) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, channel, timestamp)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.LEAVE_POST},
-      {v: timestamp},
-      {s: channelBuf.length}
-    ]) 
+    return encodeArgs(schemas.LEAVE_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.LEAVE_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += b4a.copy(channelBuf, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.LEAVE_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.LEAVE_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = b4a.toString(channelBuf, "utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.LEAVE_POST, opts)
+  }
+
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, channel, timestamp) {
+    return encodeArgsAsync(schemas.LEAVE_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.LEAVE_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, channel, timestamp) {
+    return encodeUnsignedArgs(schemas.LEAVE_POST, arguments)
+  }
+
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.LEAVE_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, channel }
+  static toJSON(buf, opts) {
+    return decode(schemas.LEAVE_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.LEAVE_POST, obj)
   }
 }
 
 class ROLE_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, channel, timestamp, recipient, role, reason, privacy) {
-    if (arguments.length !== 9) { throw wrongNumberArguments(9, arguments.length, "create(publicKey, secretKey, links, channel, timestamp, recipient, role, reason, privacy)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isBufferSize(recipient, constants.PUBLICKEY_SIZE)) { throw bufferExpected("recipient", constants.PUBLICKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isInteger(role)) { throw integerExpected("role") }
-    if (!isInteger(privacy)) { throw integerExpected("privacy") }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isString(reason)) { throw stringExpected("reason") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    if (channel.length > 0) {
-      validation.checkChannelName(channelBuf)
-    }
-    const reasonBuf = b4a.from(reason, "utf8")
-    validation.checkReason(reasonBuf)
-    
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.ROLE_POST},
-      {v: timestamp},
-      {s: reasonBuf.length},
-      {v: privacy},
-      {s: channelBuf.length},
-      {b: constants.PUBLICKEY_SIZE}, // recipient
-      {v: role}
-    ]) 
+    return encodeArgs(schemas.ROLE_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.ROLE_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write reasonLen
-    offset += writeVarint(reasonBuf.length, buf, offset)
-    // 8. write the reason
-    offset += b4a.copy(reasonBuf, buf, offset)
-    // 9. write privacy
-    offset += writeVarint(privacy, buf, offset)
-    // 10. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 11. write the channel
-    offset += b4a.copy(channelBuf, buf, offset)
-    // 12. write recipient key
-    offset += b4a.copy(recipient, buf, offset)
-    // 13. write role
-    offset += writeVarint(role, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // {publicKey, links, timestamp, reason, privacy, channel, recipient, role }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.ROLE_POST) {
-      return new Error(`decoded postType (${postType}) is not of expected type (constants.ROLE_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get reasonLen
-    const reasonLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use reasonLen to get reason
-    const reasonBuf = buf.slice(offset, offset + reasonLen)
-    offset += reasonLen
-    validation.checkReason(reasonBuf)
-    const reason = b4a.toString(reasonBuf, "utf8")
-    // 9. get privacy varint
-    const privacy = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 11. use channelLen to get channel
-    const channelBuf = buf.slice(offset, offset + channelLen)
-    offset += channelLen
-    if (channelLen > 0) {
-      validation.checkChannelName(channelBuf)
-    }
-    const channel = b4a.toString(channelBuf, "utf8")
-    // 12. get recipient
-    const recipient = buf.slice(offset, offset + constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 13. get role varint
-    const role = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.ROLE_POST, opts)
+  }
+
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, channel, timestamp, recipient, role, reason, privacy) {
+    return encodeArgsAsync(schemas.ROLE_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.ROLE_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, channel, timestamp, recipient, role, reason, privacy) {
+    return encodeUnsignedArgs(schemas.ROLE_POST, arguments)
+  }
 
-    return { publicKey, signature, links, postType, timestamp, reason, privacy, channel, recipient, role }
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.ROLE_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, reason, privacy, channel, recipient, role }
+  static toJSON(buf, opts) {
+    return decode(schemas.ROLE_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.ROLE_POST, obj)
   }
 }
 
@@ -1621,583 +554,321 @@ class ROLE_POST {
 // }
 
 class MODERATION_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, channel, timestamp, recipients, action, reason, privacy) {
-    if (arguments.length !== 9) { throw wrongNumberArguments(9, arguments.length, "create(publicKey, secretKey, links, channels, timestamp, recipients, action, reason, privacy)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isInteger(action)) { throw integerExpected("action") }
-    switch (action) {
-      case constants.ACTION_HIDE_POST:
-      case constants.ACTION_UNHIDE_POST:
-      case constants.ACTION_DROP_POST:
-      case constants.ACTION_UNDROP_POST:
-        if (!isArrayHashes(recipients)) { throw ARRAY_POSTS_EXPECTED }
-        if (!isString(channel)) { throw stringExpected("channel") }
-        validation.checkRecipientsLength(recipients)
-        break
-      case constants.ACTION_HIDE_USER:
-      case constants.ACTION_UNHIDE_USER:
-        if (!isArrayPublicKeys(recipients)) { throw ARRAY_KEYS_EXPECTED }
-        if (!isString(channel)) { throw stringExpected("channel") }
-        validation.checkRecipientsLength(recipients)
-        break
-      case constants.ACTION_DROP_CHANNEL:
-      case constants.ACTION_UNDROP_CHANNEL:
-        if (recipients.length > 0) { throw EMPTY_RECIPIENTS_EXPECTED }
-        break
-      default:
-        throw new Error(`'action' had value of unknown constant: ${action}`)
-    }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isString(reason)) { throw stringExpected("reason") }
-    if (!isInteger(privacy)) { throw integerExpected("privacy") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    // channel length can be zero for moderation post -> interpreted as cabal context
-    if (channel.length > 0) {
-      validation.checkChannelName(channelBuf)
-    }
-    const reasonBuf = b4a.from(reason, "utf8")
-    validation.checkReason(reasonBuf)
-    
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.MODERATION_POST},
-      {v: timestamp},
-      {s: reasonBuf.length},
-      {v: privacy},
-      {s: channelBuf.length},
-      {h: recipients.length}, // recipients; bit of a hack as public_key + hash size are same # bytes
-      {v: action}
-    ]) 
+    return encodeArgs(schemas.MODERATION_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.MODERATION_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write reasonLen
-    offset += writeVarint(reasonBuf.length, buf, offset)
-    // 8. write the reason
-    offset += b4a.copy(reasonBuf, buf, offset)
-    // 9. write privacy
-    offset += writeVarint(privacy, buf, offset)
-    // 10. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 11. write the channel
-    offset += b4a.copy(channelBuf, buf, offset)
-    // 12. write recipient_count, whose entries each represent either a hash or a public key (both represented by bufs)
-    offset += writeVarint(recipients.length, buf, offset)
-    // 13. write the recipients themselves
-    recipients.forEach(recipient => {
-      offset += b4a.copy(recipient, buf, offset)
-    })
-    // 14. write action
-    offset += writeVarint(action, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // {publicKey, links, channel, timestamp, recipients, action, reason, privacy}
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.MODERATION_POST) {
-      return new Error(`decoded postType (${postType}) is not of expected type (constants.MODERATION_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get reasonLen
-    const reasonLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use reasonLen to get reason
-    const reasonBuf = buf.slice(offset, offset + reasonLen)
-    offset += reasonLen
-    validation.checkReason(reasonBuf)
-    const reason = b4a.toString(reasonBuf, "utf8")
-    // 9. get privacy varint
-    const privacy = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // channel len of 0 is permissible for post/moderation (signals entire cabal)
-    let channel = ""
-    if (channelLen > 0) { 
-      // 11. use channelLen to get channel
-      const channelBuf = buf.slice(offset, offset + channelLen)
-      offset += channelLen
-      validation.checkChannelName(channelBuf)
-      channel = b4a.toString(channelBuf, "utf8")
-    }
-    // 12. get numLinks
-    const recipientCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 13. use recipientCount to slice out the recipients
-    let recipients = []
-    for (let i = 0; i < recipientCount; i++) {
-      recipients.push(buf.slice(offset, offset + constants.HASH_SIZE)) // hack: making use current spec and that publicKeys and hashes have same # bytes ':)
-      offset += constants.HASH_SIZE
-    }
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.MODERATION_POST, opts)
+  }
 
-    // 14. get action varint
-    const action = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-
-    // confirm recipients contents
-    switch (action) {
-      case constants.ACTION_HIDE_POST:
-      case constants.ACTION_UNHIDE_POST:
-      case constants.ACTION_DROP_POST:
-      case constants.ACTION_UNDROP_POST:
-        if (!isArrayHashes(recipients)) { throw ARRAY_POSTS_EXPECTED }
-        validation.checkRecipientsLength(recipients)
-        break
-      case constants.ACTION_HIDE_USER:
-      case constants.ACTION_UNHIDE_USER:
-        if (!isArrayPublicKeys(recipients)) { throw ARRAY_KEYS_EXPECTED }
-        validation.checkRecipientsLength(recipients)
-        break
-      case constants.ACTION_DROP_CHANNEL:
-      case constants.ACTION_UNDROP_CHANNEL:
-        if (recipients.length > 0) { throw EMPTY_RECIPIENTS_EXPECTED }
-        break
-    }
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, channel, timestamp, recipients, action, reason, privacy) {
+    return encodeArgsAsync(schemas.MODERATION_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.MODERATION_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, channel, timestamp, recipients, action, reason, privacy) {
+    return encodeUnsignedArgs(schemas.MODERATION_POST, arguments)
+  }
 
-    return { publicKey, signature, links, postType, timestamp, reason, privacy, channel, recipients, action }
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.MODERATION_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, reason, privacy, channel, recipients, action }
+  static toJSON(buf, opts) {
+    return decode(schemas.MODERATION_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.MODERATION_POST, obj)
   }
 }
 
 class BLOCK_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, timestamp, recipients, drop, notify, reason, privacy) {
-    if (arguments.length !== 9) { throw wrongNumberArguments(9, arguments.length, "create(publicKey, secretKey, links, timestamp, recipient, drop, notify, reason, privacy)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isArrayPublicKeys(recipients)) { throw ARRAY_KEYS_EXPECTED }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isInteger(notify)) { throw integerExpected("notify") }
-    if (!isInteger(drop)) { throw integerExpected("drop") }
-    if (!isInteger(privacy)) { throw integerExpected("privacy") }
-    if (!isString(reason)) { throw stringExpected("reason") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const reasonBuf = b4a.from(reason, "utf8")
-    validation.checkReason(reasonBuf)
-
-    validation.checkRecipientsLength(recipients)
-    
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.BLOCK_POST},
-      {v: timestamp},
-      {s: reasonBuf.length},
-      {v: privacy},
-      {h: recipients.length}, // recipients; bit of a hack as public_key + hash size are same # bytes
-      {v: drop},
-      {v: notify}
-    ]) 
+    return encodeArgs(schemas.BLOCK_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.BLOCK_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write reasonLen
-    offset += writeVarint(reasonBuf.length, buf, offset)
-    // 8. write the reason
-    offset += b4a.copy(reasonBuf, buf, offset)
-    // 9. write privacy
-    offset += writeVarint(privacy, buf, offset)
-    // 10. write recipient_count, whose entries are represented by a public key
-    offset += writeVarint(recipients.length, buf, offset)
-    // 11. write the recipients themselves
-    recipients.forEach(recipient => {
-      offset += b4a.copy(recipient, buf, offset)
-    })
-    // 12. write drop
-    offset += writeVarint(drop, buf, offset)
-    // 13. write notify
-    offset += writeVarint(notify, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // {publicKey, links, timestamp, recipient, drop, notify, reason, privacy}
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.BLOCK_POST) {
-      return new Error(`decoded postType (${postType}) is not of expected type (constants.BLOCK_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get reasonLen
-    const reasonLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use reasonLen to get reason
-    const reasonBuf = buf.slice(offset, offset + reasonLen)
-    offset += reasonLen
-    validation.checkReason(reasonBuf)
-    const reason = b4a.toString(reasonBuf, "utf8")
-    // 9. get privacy varint
-    const privacy = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. get recipient_count
-    const recipientCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 11. use recipientCount to slice out the recipients
-    let recipients = []
-    for (let i = 0; i < recipientCount; i++) {
-      recipients.push(buf.slice(offset, offset + constants.PUBLICKEY_SIZE))
-      offset += constants.PUBLICKEY_SIZE
-    }
-    if (!isArrayPublicKeys(recipients)) { throw ARRAY_KEYS_EXPECTED }
-    validation.checkRecipientsLength(recipients)
-    // 12. get drop varint
-    const drop = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 13. get notify varint
-    const notify = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.BLOCK_POST, opts)
+  }
+
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, timestamp, recipients, drop, notify, reason, privacy) {
+    return encodeArgsAsync(schemas.BLOCK_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.BLOCK_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, timestamp, recipients, drop, notify, reason, privacy) {
+    return encodeUnsignedArgs(schemas.BLOCK_POST, arguments)
+  }
 
-    return { publicKey, signature, links, postType, timestamp, reason, privacy, recipients, drop, notify }
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.BLOCK_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, reason, privacy, recipients, drop, notify }
+  static toJSON(buf, opts) {
+    return decode(schemas.BLOCK_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.BLOCK_POST, obj)
   }
 }
 
 class UNBLOCK_POST {
+  // constructs a buffer using the incoming arguments
   static create(publicKey, secretKey, links, timestamp, recipients, undrop, reason, privacy) {
-    if (arguments.length !== 8) { throw wrongNumberArguments(8, arguments.length, "create(publicKey, secretKey, links, timestamp, recipient, undrop, reason, privacy)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isArrayPublicKeys(recipients)) { throw ARRAY_KEYS_EXPECTED }
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isInteger(undrop)) { throw integerExpected("undrop") }
-    if (!isInteger(privacy)) { throw integerExpected("privacy") }
-    if (!isString(reason)) { throw stringExpected("reason") }
-
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const reasonBuf = b4a.from(reason, "utf8")
-    validation.checkReason(reasonBuf)
-
-    validation.checkRecipientsLength(recipients)
-    
-    const size = determineBufferSize([
-      {b: constants.PUBLICKEY_SIZE},
-      {b: constants.SIGNATURE_SIZE},
-      {h: links.length},
-      {v: constants.UNBLOCK_POST},
-      {v: timestamp},
-      {s: reasonBuf.length},
-      {v: privacy},
-      {h: recipients.length}, // recipients; bit of a hack as public_key + hash size are same # bytes
-      {v: undrop}
-    ]) 
+    return encodeArgs(schemas.UNBLOCK_POST, arguments)
+  }
 
-    let offset = 0
-    const buf = b4a.alloc(size)
-    // 1. write public key
-    offset += b4a.copy(publicKey, buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += b4a.copy(link, buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.UNBLOCK_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write reasonLen
-    offset += writeVarint(reasonBuf.length, buf, offset)
-    // 8. write the reason
-    offset += b4a.copy(reasonBuf, buf, offset)
-    // 9. write privacy
-    offset += writeVarint(privacy, buf, offset)
-    // 10. write recipient_count, whose entries are represented by a public key
-    offset += writeVarint(recipients.length, buf, offset)
-    // 11. write the recipients themselves
-    recipients.forEach(recipient => {
-      offset += b4a.copy(recipient, buf, offset)
-    })
-    // 12. write undrop
-    offset += writeVarint(undrop, buf, offset)
-    
-    // now, time to make a signature
-    crypto.sign(buf, secretKey)
-    validation.checkSignature(buf, publicKey)
-
-    return buf
-  }
-
-  static toJSON(buf) {
-    // {publicKey, links, timestamp, recipient, undrop, notify, reason, privacy}
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.slice(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.slice(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.slice(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.UNBLOCK_POST) {
-      return new Error(`decoded postType (${postType}) is not of expected type (constants.UNBLOCK_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!isNonNegativeInteger(timestamp)) { throw integerExpected("timestamp") }
-    // 7. get reasonLen
-    const reasonLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use reasonLen to get reason
-    const reasonBuf = buf.slice(offset, offset + reasonLen)
-    offset += reasonLen
-    validation.checkReason(reasonBuf)
-    const reason = b4a.toString(reasonBuf, "utf8")
-    // 9. get privacy varint
-    const privacy = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. get recipient_count
-    const recipientCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 11. use recipientCount to slice out the recipients
-    let recipients = []
-    for (let i = 0; i < recipientCount; i++) {
-      recipients.push(buf.slice(offset, offset + constants.PUBLICKEY_SIZE))
-      offset += constants.PUBLICKEY_SIZE
-    }
-    if (!isArrayPublicKeys(recipients)) { throw ARRAY_KEYS_EXPECTED }
-    validation.checkRecipientsLength(recipients)
-    // 12. get undrop varint
-    const undrop = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+  // constructs a buffer from an object of named arguments, see README
+  static build(opts) {
+    return encodeOptions(schemas.UNBLOCK_POST, opts)
+  }
 
-    return { publicKey, signature, links, postType, timestamp, reason, privacy, recipients, undrop }
+  // like create() and build(), returning a promise: for signers whose sign() is async (see signers.js)
+  static createAsync(publicKey, secretKey, links, timestamp, recipients, undrop, reason, privacy) {
+    return encodeArgsAsync(schemas.UNBLOCK_POST, arguments)
+  }
+
+  static buildAsync(opts) {
+    return encodeOptionsAsync(schemas.UNBLOCK_POST, opts)
+  }
+
+  // like create() and build(), leaving the post unsigned: see attachSignature()
+  static createUnsigned(publicKey, links, timestamp, recipients, undrop, reason, privacy) {
+    return encodeUnsignedArgs(schemas.UNBLOCK_POST, arguments)
+  }
+
+  static buildUnsigned(opts) {
+    return encodeUnsignedOptions(schemas.UNBLOCK_POST, opts)
+  }
+
+  // takes a buffer and returns the json object:
+  // { publicKey, signature, links, postType, timestamp, reason, privacy, recipients, undrop }
+  static toJSON(buf, opts) {
+    return decode(schemas.UNBLOCK_POST, buf, opts)
+  }
+
+  // the inverse of toJSON(): takes an object of the same shape and returns its buffer. the post keeps
+  // obj.signature, unless obj.secretKey is set to sign it anew
+  static fromJSON(obj) {
+    return encodeSchema(schemas.UNBLOCK_POST, obj)
   }
 }
 
 // peek returns the buf type of a message
 function peekMessage (buf) {
   // decode msg len, and discard
-  decodeVarintSlice(buf, 0)
-  const offset = varint.decode.bytes
+  const offset = decodeVarint(buf, 0).bytes
   // decode and return msg type
-  return decodeVarintSlice(buf, offset)
+  return decodeVarint(buf, offset).value
 }
 
 function peekReqid (buf) {
   // decode msg len, and discard
-  decodeVarintSlice(buf, 0)
-  let offset = varint.decode.bytes
+  let offset = decodeVarint(buf, 0).bytes
   // decode msg type and discard
-  decodeVarintSlice(buf, offset)
-  offset += varint.decode.bytes
+  offset += decodeVarint(buf, offset).bytes
   // skip circuitid
   offset += constants.CIRCUITID_SIZE
   // read & return reqid
+  checkRemaining(buf, offset, constants.REQID_SIZE, "reqid")
   return buf.slice(offset, offset+constants.REQID_SIZE)
 }
 
 // peek a buffer containing a cable post and return its post type
-function peekPost (buf) {
+function peekPost (buf, opts) {
+  const limits = decodeLimits(opts)
   // skip public key + signature
   let offset = constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE
+  checkRemaining(buf, 0, offset, "signature")
   // read numLinks
-  const numLinks = decodeVarintSlice(buf, offset)
-  offset += varint.decode.bytes
+  const decoded = decodeVarint(buf, offset)
+  const numLinks = decoded.value
+  offset += decoded.bytes
   // skip reading links
+  checkCount(buf, offset, numLinks, constants.HASH_SIZE, limits.maxLinks, "links")
   offset += numLinks * constants.HASH_SIZE
   // finally: read & return the post type
-  return decodeVarintSlice(buf, offset)
+  return decodeVarint(buf, offset).value
+}
+
+// returns the bytes of a post that its signature covers: everything following its public key and signature. this is
+// what a signer signs (see signers.js)
+function signingPayload (buf) {
+  checkPostBuffer(buf)
+  return buf.subarray(constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE)
 }
 
-function parsePost (buf) {
-  const postType = peekPost(buf)
-  let obj
-  switch (postType) {
-    case constants.TEXT_POST:
-      obj = TEXT_POST.toJSON(buf)
-      break
-    case constants.DELETE_POST:
-      obj = DELETE_POST.toJSON(buf)
-      break
-    case constants.INFO_POST:
-      obj = INFO_POST.toJSON(buf)
-      break
-    case constants.TOPIC_POST:
-      obj = TOPIC_POST.toJSON(buf)
-      break
-    case constants.JOIN_POST:
-      obj = JOIN_POST.toJSON(buf)
-      break
-    case constants.LEAVE_POST:
-      obj = LEAVE_POST.toJSON(buf)
-      break
-    case constants.ROLE_POST:
-      obj = ROLE_POST.toJSON(buf)
-      break
-    case constants.MODERATION_POST:
-      obj = MODERATION_POST.toJSON(buf)
-      break
-    case constants.BLOCK_POST:
-      obj = BLOCK_POST.toJSON(buf)
-      break
-    case constants.UNBLOCK_POST:
-      obj = UNBLOCK_POST.toJSON(buf)
-      break
-    default:
-      throw new Error(`parse post: unknown post type (${postType})`)
-  }
-  return obj
+// returns the hash of a post, which identifies it e.g. in links, POST_REQUEST and HASH_RESPONSE. parsePost() and every
+// post's toJSON() include it as obj.hash when passed { hash: true }
+function hashPost (buf) {
+  checkPostBuffer(buf)
+  return crypto.hash(buf)
+}
+
+// matches the posts of a POST_RESPONSE against the hashes asked for by a POST_REQUEST, to tell whether a peer only sent
+// what it was asked for. request is a POST_REQUEST buffer, its decoded object or an array of hashes. response is a
+// POST_RESPONSE buffer, its decoded object (also as decoded with { hash: true }) or an array of posts. buffers are
+// decoded with opts, e.g. to adjust the decoding limits. returns:
+//
+//   satisfied     { hash, post } for each requested hash that a post was received for
+//   missing       the requested hashes that no post was received for
+//   unsolicited   { hash, post } for each post that wasn't requested, or was received more than once
+//
+// throws a CableValidationError with code REQID_MISMATCH if request and response both carry a reqid and they differ
+function correlatePostResponse (request, response, opts) {
+  if (b4a.isBuffer(request)) { request = POST_REQUEST.toJSON(request, opts) }
+  if (b4a.isBuffer(response)) { response = POST_RESPONSE.toJSON(response, opts) }
+  const hashes = Array.isArray(request) ? request : request && request.hashes
+  const posts = Array.isArray(response) ? response : response && response.posts
+  if (!Array.isArray(hashes)) {
+    throw new CableEncodeError("expected request to be a POST_REQUEST or an array of hashes", { code: codes.INVALID_TYPE, field: "request" })
+  }
+  if (!Array.isArray(posts)) {
+    throw new CableEncodeError("expected response to be a POST_RESPONSE or an array of posts", { code: codes.INVALID_TYPE, field: "response" })
+  }
+  if (!Array.isArray(request) && !Array.isArray(response) && request.reqid && response.reqid && !b4a.equals(request.reqid, response.reqid)) {
+    throw new CableValidationError("expected the response to carry the reqid of the request", { code: codes.REQID_MISMATCH, field: "reqid", expected: b4a.toString(request.reqid, "hex"), actual: b4a.toString(response.reqid, "hex") })
+  }
+
+  // requested hashes by hex, set to null until a post is received for them
+  const requested = new Map()
+  for (const hash of hashes) {
+    if (!b4a.isBuffer(hash) || hash.length !== constants.HASH_SIZE) {
+      throw new CableEncodeError(`expected request to contain hashes of ${constants.HASH_SIZE} bytes`, { code: codes.INVALID_TYPE, field: "hashes" })
+    }
+    requested.set(b4a.toString(hash, "hex"), null)
+  }
+  const result = { satisfied: [], missing: [], unsolicited: [] }
+  for (const entry of posts) {
+    const post = b4a.isBuffer(entry) ? entry : entry && entry.post
+    const hash = hashPost(post)
+    const key = b4a.toString(hash, "hex")
+    if (requested.get(key) === null) {
+      requested.set(key, post)
+      result.satisfied.push({ hash, post })
+    } else {
+      result.unsolicited.push({ hash, post })
+    }
+  }
+  for (const [key, post] of requested) {
+    if (post === null) { result.missing.push(b4a.from(key, "hex")) }
+  }
+  return result
+}
+
+// takes a post, e.g. from createUnsigned(), and a signature produced elsewhere over its signingPayload(). returns a
+// copy of the post carrying the signature, after checking that it verifies against the post's public key
+function attachSignature (buf, signature) {
+  checkPostBuffer(buf)
+  const signed = b4a.from(buf)
+  return writeSignature(signed, signature, signed.subarray(0, constants.PUBLICKEY_SIZE))
+}
+
+function checkPostBuffer (buf) {
+  if (!b4a.isBuffer(buf) || buf.length < constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE) {
+    throw new CableEncodeError("expected a post buffer holding at least a public key and a signature", { code: codes.INVALID_TYPE, field: "buf" })
+  }
+}
+
+const POSTS = {
+  [constants.TEXT_POST]: TEXT_POST,
+  [constants.DELETE_POST]: DELETE_POST,
+  [constants.INFO_POST]: INFO_POST,
+  [constants.TOPIC_POST]: TOPIC_POST,
+  [constants.JOIN_POST]: JOIN_POST,
+  [constants.LEAVE_POST]: LEAVE_POST,
+  [constants.ROLE_POST]: ROLE_POST,
+  [constants.MODERATION_POST]: MODERATION_POST,
+  [constants.BLOCK_POST]: BLOCK_POST,
+  [constants.UNBLOCK_POST]: UNBLOCK_POST
+}
+
+const MESSAGES = {
+  [constants.HASH_RESPONSE]: HASH_RESPONSE,
+  [constants.POST_RESPONSE]: POST_RESPONSE,
+  [constants.POST_REQUEST]: POST_REQUEST,
+  [constants.CANCEL_REQUEST]: CANCEL_REQUEST,
+  [constants.TIME_RANGE_REQUEST]: TIME_RANGE_REQUEST,
+  [constants.CHANNEL_STATE_REQUEST]: CHANNEL_STATE_REQUEST,
+  [constants.CHANNEL_LIST_REQUEST]: CHANNEL_LIST_REQUEST,
+  [constants.CHANNEL_LIST_RESPONSE]: CHANNEL_LIST_RESPONSE,
+  [constants.MODERATION_STATE_REQUEST]: MODERATION_STATE_REQUEST
+}
+
+function parsePost (buf, opts) {
+  if (opts && opts.lenient) { return decodeLeniently(parsePost, buf, opts) }
+  const postType = peekPost(buf, opts)
+  if (!POSTS.hasOwnProperty(postType)) {
+    throw new CableDecodeError(`parse post: unknown post type (${postType})`, { code: codes.UNKNOWN_TYPE, field: "postType", actual: postType })
+  }
+  return POSTS[postType].toJSON(buf, opts)
 }
 
 // a message is either a request or a response; not a post (for posts, see parsePost)
-function parseMessage (buf) {
+function parseMessage (buf, opts) {
+  if (opts && opts.lenient) { return decodeLeniently(parseMessage, buf, opts) }
   const msgType = peekMessage(buf)
-  let obj
-  switch (msgType) {
-    case constants.HASH_RESPONSE:
-      obj = HASH_RESPONSE.toJSON(buf)
-      break
-    case constants.POST_RESPONSE:
-      obj = POST_RESPONSE.toJSON(buf)
-      break
-    case constants.POST_REQUEST:
-      obj = POST_REQUEST.toJSON(buf)
-      break
-    case constants.CANCEL_REQUEST:
-      obj = CANCEL_REQUEST.toJSON(buf)
-      break
-    case constants.TIME_RANGE_REQUEST:
-      obj = TIME_RANGE_REQUEST.toJSON(buf)
-      break
-    case constants.CHANNEL_STATE_REQUEST:
-      obj = CHANNEL_STATE_REQUEST.toJSON(buf)
-      break
-    case constants.CHANNEL_LIST_REQUEST:
-      obj = CHANNEL_LIST_REQUEST.toJSON(buf)
-      break
-    case constants.CHANNEL_LIST_RESPONSE:
-      obj = CHANNEL_LIST_RESPONSE.toJSON(buf)
-      break
-    case constants.MODERATION_STATE_REQUEST:
-      obj = MODERATION_STATE_REQUEST.toJSON(buf)
-      break
-    default:
-      throw new Error(`parse post: unknown post type (${postType})`)
-  }
-  return obj
+  if (!MESSAGES.hasOwnProperty(msgType)) {
+    throw new CableDecodeError(`parse message: unknown message type (${msgType})`, { code: codes.UNKNOWN_TYPE, field: "msgType", actual: msgType })
+  }
+  return MESSAGES[msgType].toJSON(buf, opts)
+}
+
+// the inverse of parsePost() and parseMessage(): turns a decoded post or message back into bytes, dispatching on its
+// postType or msgType. encode(parsePost(buf)) and encode(parseMessage(buf)) return a buffer equal to buf
+function encode (obj) {
+  if (obj === null || typeof obj !== "object") {
+    throw new CableEncodeError("expected a post or message object", { code: codes.INVALID_TYPE, actual: obj === null ? "null" : typeof obj })
+  }
+  if (obj.postType !== undefined) {
+    if (!POSTS.hasOwnProperty(obj.postType)) {
+      throw new CableEncodeError(`encode: unknown post type (${obj.postType})`, { code: codes.UNKNOWN_TYPE, field: "postType", actual: obj.postType })
+    }
+    return POSTS[obj.postType].fromJSON(obj)
+  }
+  if (!MESSAGES.hasOwnProperty(obj.msgType)) {
+    throw new CableEncodeError(`encode: unknown message type (${obj.msgType})`, { code: codes.UNKNOWN_TYPE, field: "msgType", actual: obj.msgType })
+  }
+  return MESSAGES[obj.msgType].fromJSON(obj)
 }
 
 function insertNewTTL(buf, expectedType) {
     let offset = 0
+    let decoded
     // 1. msgLen
-    decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
+    offset += decodeVarint(buf, 0).bytes
     const msgLenOffset = offset
     // 2. msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+    decoded = decodeVarint(buf, offset)
+    const msgType = decoded.value
+    offset += decoded.bytes
     if (msgType !== expectedType) {
-      throw new Error(`decoded msgType is not of expected type (expected ${expectedType}, was ${msgType})`)
+      throw new CableDecodeError(`decoded msgType is not of expected type (expected ${expectedType}, was ${msgType})`, { code: codes.WRONG_TYPE, field: "msgType", expected: expectedType, actual: msgType })
     }
     // 3. circuitid
     offset += constants.CIRCUITID_SIZE
@@ -2205,13 +876,14 @@ function insertNewTTL(buf, expectedType) {
     offset += constants.REQID_SIZE
     // get ttl
     const beforeTTL = buf.slice(msgLenOffset, offset)
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
+    decoded = decodeVarint(buf, offset)
+    const ttl = decoded.value
+    offset += decoded.bytes
     const afterTTL = buf.slice(offset)
 
     // decrement ttl
     const newTTL = ttl - 1
-    if (newTTL < 0) { throw new Error("ttl negative") }
+    if (newTTL < 0) { throw new CableValidationError("expected ttl to be above 0 to be decremented", { code: codes.OUT_OF_RANGE, field: "ttl", actual: ttl }) }
 
     const newBuf = b4a.concat([beforeTTL, encodeVarintBuffer(newTTL), afterTTL])
     return prependMsgLen(newBuf)
@@ -2223,132 +895,6 @@ function prependMsgLen (buf) {
   return b4a.concat([msglen, buf])
 }
 
-// attempt to extract a varint from a buffer `frame`, starting at `offset`
-function decodeVarintSlice (frame, offset) {
-  let decodedSlice
-  let sliceEnd 
-  for (let i = 1; i < constants.MAX_VARINT_SIZE; i++) {
-    sliceEnd = offset + i 
-    const frameSlice = frame.slice(offset, sliceEnd)
-    try {
-      decodedSlice = varint.decode(frameSlice)
-      return decodedSlice
-    } catch (e) {
-      if (e instanceof RangeError) {
-        continue
-      }
-      throw RangeError
-    }
-  }
-  return decodedSlice
-}
-
-function isInteger(n) {
-  return Number.isInteger(n)
-}
-function isNonNegativeInteger(n) {
-  return Number.isInteger(n) && n >= 0
-}
-
-function ttlRangeCorrect(ttl) {
-  return ttl >= 0 && ttl <= 16
-}
-
-function isBufferSize(b, SIZE) {
-  if (b4a.isBuffer(b)) {
-    return b.length === SIZE
-  }
-  return false
-}
-
-function isString (s) {
-  return typeof s === "string"
-}
-
-// arr is an array where each element will be passed through `fn`. if any 
-function isArrayCheck(arr, fn) {
-  if (Array.isArray(arr)) {
-    return arr.every(fn)
-  }
-  return false
-}
-
-function isArrayData (arr) {
-  return isArrayCheck(arr, b4a.isBuffer)
-}
-
-function isArrayString (arr) {
-  return isArrayCheck(arr, isString)
-}
-
-const bufHashCheck = (el) => { return isBufferSize(el, constants.HASH_SIZE) }
-function isArrayHashes (arr) {
-  return isArrayCheck(arr, bufHashCheck)
-}
-
-const bufPublicKeyCheck = (el) => { return isBufferSize(el, constants.PUBLICKEY_SIZE) }
-function isArrayPublicKeys (arr) {
-  return isArrayCheck(arr, bufPublicKeyCheck)
-}
-
-function encodeVarintBuffer (n) {
-  // take integer, return varint encoded buffer representation
-  return b4a.from(varint.encode(n))
-}
-
-function writeVarint (n, buf, offset) {
-  // take integer, buffer to write to, and offset to write at
-  // return amount of varint encoded bytes written
-  const varintBuf = encodeVarintBuffer(n)
-  // varintBuf.copy(buf, offset)
-  b4a.copy(varintBuf, buf, offset)
-  return varint.encode.bytes
-}
-
-// determineBufferSize takes a list of objects, shorthand documented below, and uses them to determine and return correct length
-// in bytes for when allocating a buffer for the inputs 
-
-// SHORTHAND:
-// v: integer which will be encoded as a varint
-// b: number of bytes
-// s: string input.
-//    rep.s contains the length of the corresponding string buffer 
-//    e.g. rep.s === channelBuf.length
-// h: represents an array of HASH_SIZE sized hashes. 
-//    rep.h is the number of such entries in the actual array
-//    e.g. rep.h === hashes.length
-function determineBufferSize(inputs) {
-  let size = 0
-  // rep, short for 'representation'
-  inputs.forEach(rep => {
-    if (rep.hasOwnProperty("b")) {
-      size += rep.b
-    } else if (rep.hasOwnProperty("v")) {
-      size += varint.encode(rep.v).length
-    } else if (rep.hasOwnProperty("h")) {
-      size += rep.h * constants.HASH_SIZE + varint.encode(rep.h).length
-    } else if (rep.hasOwnProperty("s")) {
-      size += rep.s + varint.encode(rep.s).length
-    }
-  })
-  return size
-}
-
-function countPostsBytes (posts) {
-  return posts.reduce((acc, p) => {
-    acc += p.length + varint.encode(p.length).length /* varint.encode term accounts for the postLen varint */
-    return acc
-  }, 0) // init to 0
-}
-
-function countChannelsBytes(channels) {
-  return channels.reduce((acc, c) => {
-    const len = b4a.from(c, "utf8").length
-    acc += len + varint.encode(len).length /* varint.encode term accounts for the channelLen varint */
-    return acc
-  }, 0) // init to 0
-}
-
 module.exports = { 
   HASH_RESPONSE, 
   POST_RESPONSE, 
@@ -2377,5 +923,13 @@ module.exports = {
   peekReqid,
   peekPost,
   parsePost,
-  parseMessage
+  parseMessage,
+  encode,
+  signingPayload,
+  hashPost,
+  correlatePostResponse,
+  attachSignature,
+  verifyPost,
+  verifyPosts,
+  VerificationCache
 }
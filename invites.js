@@ -0,0 +1,111 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// cabal keys, and the invite links they are shared with. a cabal key is 32 random bytes known to every member of the
+// cabal; peers prove knowledge of it during the handshake (see handshake.js). an invite is a uri holding the key in
+// hex, optionally followed by hints that help the invitee get started:
+//
+//   cabal://<64 hex characters>?channel=default&channel=dev&peer=192.0.2.1:13331
+//
+//   channel   a channel to join, may be repeated
+//   peer      an address to connect to, may be repeated
+//
+// hints are only suggestions: parseInvite() ignores those it doesn't know, so that later versions can add more
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const validation = require("./validation.js")
+const { CableEncodeError, CableDecodeError, codes } = require("./errors.js")
+
+const SCHEME = "cabal://"
+const HEX_KEY = /^[0-9a-f]+$/i
+
+function generateCabalKey () {
+  return crypto.randomBytes(constants.CABAL_KEY_SIZE)
+}
+
+// takes a cabal key and returns its hex form
+function encodeCabalKey (key) {
+  checkCabalKey(key)
+  return b4a.toString(key, "hex")
+}
+
+// takes a cabal key in hex, with or without the cabal:// scheme (and ignoring any hints), and returns it as a buffer
+function parseCabalKey (str) {
+  return parseInvite(str).key
+}
+
+// returns an invite uri for the cabal with the given key. opts.channels and opts.peers list channel and peer hints
+function createInvite (key, opts) {
+  opts = opts || {}
+  checkCabalKey(key)
+  const channels = hintList(opts.channels, "channels")
+  const peers = hintList(opts.peers, "peers")
+  channels.forEach(checkChannel)
+  peers.forEach(checkPeer)
+  const params = new URLSearchParams()
+  channels.forEach(channel => params.append("channel", channel))
+  peers.forEach(peer => params.append("peer", peer))
+  const query = params.toString()
+  return `${SCHEME}${b4a.toString(key, "hex")}${query ? `?${query}` : ""}`
+}
+
+// parses an invite uri, returning { key, channels, peers }. a bare hex key, without the scheme, is accepted as well.
+// throws a CableDecodeError if the uri is of another scheme or holds no valid key, and a CableValidationError if it
+// suggests an invalid channel name
+function parseInvite (uri) {
+  if (typeof uri !== "string") {
+    throw new CableEncodeError("expected invite to be a string", { code: codes.INVALID_TYPE, field: "uri" })
+  }
+  let rest = uri.trim()
+  const scheme = rest.match(/^([a-z][a-z0-9+.-]*):\/\//i)
+  if (scheme) {
+    if (scheme[0].toLowerCase() !== SCHEME) {
+      throw new CableDecodeError(`expected an invite starting with ${SCHEME}; was ${scheme[0]}`, { code: codes.UNKNOWN_VALUE, field: "uri", expected: SCHEME, actual: scheme[0] })
+    }
+    rest = rest.slice(SCHEME.length)
+  }
+  const queryStart = rest.indexOf("?")
+  const keyPart = (queryStart === -1 ? rest : rest.slice(0, queryStart)).replace(/\/$/, "")
+  if (keyPart.length !== constants.CABAL_KEY_SIZE * 2 || !HEX_KEY.test(keyPart)) {
+    throw new CableDecodeError(`expected the invite to hold a cabal key of ${constants.CABAL_KEY_SIZE * 2} hex characters`, { code: codes.INVALID_TYPE, field: "key", actual: keyPart })
+  }
+  const params = new URLSearchParams(queryStart === -1 ? "" : rest.slice(queryStart + 1))
+  const channels = params.getAll("channel")
+  const peers = params.getAll("peer").filter(peer => peer.length > 0)
+  channels.forEach(checkChannel)
+  return { key: b4a.from(keyPart, "hex"), channels, peers }
+}
+
+function checkCabalKey (key) {
+  if (!b4a.isBuffer(key) || key.length !== constants.CABAL_KEY_SIZE) {
+    throw new CableEncodeError(`expected cabal key to be a buffer of ${constants.CABAL_KEY_SIZE} bytes`, { code: codes.INVALID_TYPE, field: "key", expected: constants.CABAL_KEY_SIZE })
+  }
+}
+
+function hintList (value, name) {
+  if (value === undefined) { return [] }
+  if (!Array.isArray(value) || !value.every(hint => typeof hint === "string")) {
+    throw new CableEncodeError(`expected ${name} to be an array of strings`, { code: codes.INVALID_TYPE, field: name })
+  }
+  return value
+}
+
+function checkChannel (channel) {
+  validation.checkChannelName(b4a.from(channel))
+}
+
+function checkPeer (peer) {
+  if (peer.length === 0) {
+    throw new CableEncodeError("expected peers to contain non-empty addresses", { code: codes.INVALID_TYPE, field: "peers" })
+  }
+}
+
+module.exports = {
+  generateCabalKey,
+  encodeCabalKey,
+  parseCabalKey,
+  createInvite,
+  parseInvite
+}
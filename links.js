@@ -0,0 +1,106 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// keeps track of the heads of each channel, to fill in the `links` of new posts. a post's links are the hashes of the
+// heads of its context when it was written: the known posts that no other known post links to. the context of a post
+// is its channel, or the cabal as a whole for posts without one (e.g. info and block posts, or role and moderation
+// posts applying to the entire cabal).
+//
+// posts can be added in any order. a post linked to by a post added earlier never becomes a head, while a post added
+// earlier stops being one once a post linking to it is added
+const b4a = require("b4a")
+const cable = require("./index.js")
+const { CableEncodeError, codes } = require("./errors.js")
+
+// key of the cabal-wide context in LinkTracker._heads
+const CABAL_CONTEXT = ""
+const DEFAULT_MAX_LINKS = 32
+
+class LinkTracker {
+  // opts.maxLinks   the most links to return for a new post, keeping the newest heads (default: 32)
+  constructor (opts) {
+    opts = opts || {}
+    this.maxLinks = opts.maxLinks === undefined ? DEFAULT_MAX_LINKS : opts.maxLinks
+    // context -> hex hash -> { hash, timestamp }
+    this._heads = new Map()
+    // hex hashes of every post added, and of every post linked to
+    this._known = new Set()
+    this._linked = new Set()
+    // hex hash of every head -> its context
+    this._contexts = new Map()
+  }
+
+  // adds a post: either a post buffer, or a decoded post as returned by parsePost(). decoded posts need their hash,
+  // which parsePost() includes when passed { hash: true }, or which can be passed as `hash`. returns false if the post
+  // had been added before
+  add (post, hash) {
+    if (b4a.isBuffer(post)) { post = cable.parsePost(post, { hash: true }) }
+    if (post === null || typeof post !== "object" || !Array.isArray(post.links)) {
+      throw new CableEncodeError("expected post to be a post buffer or a decoded post", { code: codes.INVALID_TYPE, field: "post" })
+    }
+    hash = hash === undefined ? post.hash : hash
+    if (!b4a.isBuffer(hash)) {
+      throw new CableEncodeError("expected the hash of the post; decode it with { hash: true }", { code: codes.INVALID_TYPE, field: "hash" })
+    }
+    const key = b4a.toString(hash, "hex")
+    if (this._known.has(key)) { return false }
+    this._known.add(key)
+
+    for (const link of post.links) {
+      const linked = b4a.toString(link, "hex")
+      this._linked.add(linked)
+      const context = this._contexts.get(linked)
+      if (context !== undefined) {
+        this._heads.get(context).delete(linked)
+        this._contexts.delete(linked)
+      }
+    }
+    // a post that arrived after a post linking to it is not a head
+    if (this._linked.has(key)) { return true }
+    const context = contextOf(post.channel)
+    if (!this._heads.has(context)) { this._heads.set(context, new Map()) }
+    this._heads.get(context).set(key, { hash: b4a.from(hash), timestamp: post.timestamp })
+    this._contexts.set(key, context)
+    return true
+  }
+
+  // returns whether the post with the given hash was added
+  has (hash) {
+    return this._known.has(b4a.toString(hash, "hex"))
+  }
+
+  // returns the hashes of the current heads of channel, newest first. without a channel (or with an empty one),
+  // returns the heads of the cabal-wide context
+  heads (channel) {
+    const heads = this._heads.get(contextOf(channel))
+    if (!heads) { return [] }
+    return Array.from(heads.values())
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(head => head.hash)
+  }
+
+  // returns the links for the next post in channel (or, without a channel, for a cabal-wide post): its newest heads, at
+  // most maxLinks of them
+  links (channel) {
+    return this.heads(channel).slice(0, this.maxLinks)
+  }
+
+  // returns a copy of the named arguments of a post's build() (see README) with `links` filled in for the post's
+  // channel, e.g. TEXT_POST.build(tracker.fill({ keypair, channel, text })). links that were already set are kept
+  fill (opts) {
+    if (opts === null || typeof opts !== "object") {
+      throw new CableEncodeError("expected opts to be an object of named arguments", { code: codes.INVALID_TYPE, field: "opts" })
+    }
+    if (opts.links !== undefined) { return Object.assign({}, opts) }
+    return Object.assign({}, opts, { links: this.links(opts.channel) })
+  }
+}
+
+function contextOf (channel) {
+  return typeof channel === "string" && channel.length > 0 ? channel : CABAL_CONTEXT
+}
+
+module.exports = {
+  LinkTracker
+}
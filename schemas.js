@@ -0,0 +1,226 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// the wire layout of every post and message type, as a schema of fields (see codec.js). the fields listed here
+// follow the ones shared by all messages (msgType, circuitid, reqid) or all posts (publicKey, signature, links,
+// postType, timestamp)
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const validation = require("./validation.js")
+const codec = require("./codec.js")
+
+const { varintField, bytesField, stringField, listField, terminatedListField, infoField, messageSchema, postSchema } = codec
+
+const HASHES_EXPECTED = "expected hashes to contain an array of hash-sized buffers"
+const ARRAY_POSTS_EXPECTED = "expected recipients to contain an array of hash-sized buffers"
+const ARRAY_KEYS_EXPECTED = "expected recipients to contain an array of publicKey-sized buffers"
+
+// fields shared by several types
+const ttl = () => varintField("ttl", {
+  check: (value) => { if (!codec.ttlRangeCorrect(value)) { throw codec.ttlRangeExpected(value) } }
+})
+const hashes = (limit) => listField("hashes", { entrySize: constants.HASH_SIZE, expected: HASHES_EXPECTED, limit })
+const channel = () => stringField("channel", { check: validation.checkChannelName })
+// channel may be empty for role and moderation posts: it then applies to the whole cabal
+const optionalChannel = () => stringField("channel", { check: validation.checkChannelName, optional: true })
+const channels = () => terminatedListField("channels", {
+  entry: "channel",
+  expected: "expected channels to contain an array of strings",
+  strings: true,
+  check: validation.checkChannelName
+})
+const future = () => varintField("future", { check: validation.checkFuture })
+const reason = () => stringField("reason", { check: validation.checkReason })
+const recipients = (entrySize, expected, check) => listField("recipients", {
+  entrySize,
+  expected,
+  limit: () => constants.RECIPIENT_COUNT_MAX,
+  check
+})
+
+const maxHashes = (limits) => limits.maxHashes
+
+const HASH_RESPONSE = messageSchema("HASH_RESPONSE", ["reqid", "hashes"], [
+  hashes(maxHashes)
+])
+
+const POST_RESPONSE = messageSchema("POST_RESPONSE", ["reqid", "posts"], [
+  // encoding also takes the { hash, post } pairs decoding with { hash: true } produces
+  terminatedListField("posts", {
+    entry: "post",
+    expected: "expected posts to contain an array of buffers or of { hash, post } pairs",
+    unwrap: (entry) => entry !== null && typeof entry === "object" && b4a.isBuffer(entry.post) ? entry.post : entry
+  })
+], {
+  // { hash: true } pairs each post with its hash, to match the posts to the hashes that were requested
+  addHashes: (obj) => { obj.posts = obj.posts.map(post => ({ hash: crypto.hash(post), post })) }
+})
+
+const CHANNEL_LIST_RESPONSE = messageSchema("CHANNEL_LIST_RESPONSE", ["reqid", "channels"], [
+  channels()
+])
+
+const POST_REQUEST = messageSchema("POST_REQUEST", ["reqid", "ttl", "hashes"], [
+  ttl(),
+  hashes(maxHashes)
+])
+
+const CANCEL_REQUEST = messageSchema("CANCEL_REQUEST", ["reqid", "ttl", "cancelid"], [
+  ttl(),
+  bytesField("cancelid", constants.REQID_SIZE)
+])
+
+const TIME_RANGE_REQUEST = messageSchema("TIME_RANGE_REQUEST", ["reqid", "ttl", "channel", "timeStart", "timeEnd", "limit"], [
+  ttl(),
+  channel(),
+  varintField("timeStart"),
+  varintField("timeEnd"),
+  varintField("limit")
+])
+
+const CHANNEL_STATE_REQUEST = messageSchema("CHANNEL_STATE_REQUEST", ["reqid", "ttl", "channel", "future"], [
+  ttl(),
+  channel(),
+  future()
+])
+
+const CHANNEL_LIST_REQUEST = messageSchema("CHANNEL_LIST_REQUEST", ["reqid", "ttl", "offset", "limit"], [
+  ttl(),
+  varintField("offset"),
+  varintField("limit")
+])
+
+const MODERATION_STATE_REQUEST = messageSchema("MODERATION_STATE_REQUEST", ["reqid", "ttl", "channels", "future", "oldest"], [
+  ttl(),
+  channels(),
+  future(),
+  varintField("oldest")
+])
+
+const TEXT_POST = postSchema("TEXT_POST", ["publicKey", "secretKey", "links", "channel", "timestamp", "text"], [
+  channel(),
+  stringField("text", { check: validation.checkPostText })
+])
+
+const DELETE_POST = postSchema("DELETE_POST", ["publicKey", "secretKey", "links", "timestamp", "hashes"], [
+  hashes(maxHashes)
+])
+
+const INFO_POST = postSchema("INFO_POST", ["publicKey", "secretKey", "links", "timestamp", "info"], [
+  infoField("info")
+])
+
+const TOPIC_POST = postSchema("TOPIC_POST", ["publicKey", "secretKey", "links", "channel", "timestamp", "topic"], [
+  channel(),
+  stringField("topic", { check: validation.checkTopic })
+])
+
+const JOIN_POST = postSchema("JOIN_POST", ["publicKey", "secretKey", "links", "channel", "timestamp"], [
+  channel()
+])
+
+const LEAVE_POST = postSchema("LEAVE_POST", ["publicKey", "secretKey", "links", "channel", "timestamp"], [
+  channel()
+])
+
+const ROLE_POST = postSchema("ROLE_POST", ["publicKey", "secretKey", "links", "channel", "timestamp", "recipient", "role", "reason", "privacy"], [
+  reason(),
+  varintField("privacy"),
+  optionalChannel(),
+  bytesField("recipient", constants.PUBLICKEY_SIZE),
+  varintField("role")
+])
+
+// the recipients of a moderation post are hashes or public keys depending on its action (both are 32 bytes), which
+// is checked across fields by checkEncode and checkDecode
+const MODERATION_POST = postSchema("MODERATION_POST", ["publicKey", "secretKey", "links", "channel", "timestamp", "recipients", "action", "reason", "privacy"], [
+  reason(),
+  varintField("privacy"),
+  optionalChannel(),
+  recipients(constants.HASH_SIZE, ARRAY_POSTS_EXPECTED),
+  varintField("action")
+], {
+  checkEncode ({ recipients, action }) {
+    if (!codec.isInteger(action)) { throw codec.integerExpected("action", action) }
+    switch (action) {
+      case constants.ACTION_HIDE_POST:
+      case constants.ACTION_UNHIDE_POST:
+      case constants.ACTION_DROP_POST:
+      case constants.ACTION_UNDROP_POST:
+        if (!codec.isArrayHashes(recipients)) { throw codec.arrayExpected(ARRAY_POSTS_EXPECTED, "recipients", recipients) }
+        validation.checkRecipientsLength(recipients)
+        break
+      case constants.ACTION_HIDE_USER:
+      case constants.ACTION_UNHIDE_USER:
+        if (!codec.isArrayPublicKeys(recipients)) { throw codec.arrayExpected(ARRAY_KEYS_EXPECTED, "recipients", recipients) }
+        validation.checkRecipientsLength(recipients)
+        break
+      case constants.ACTION_DROP_CHANNEL:
+      case constants.ACTION_UNDROP_CHANNEL:
+        if (!Array.isArray(recipients) || recipients.length > 0) { throw codec.emptyRecipientsExpected(recipients && recipients.length) }
+        break
+      default:
+        throw codec.unknownAction(action)
+    }
+  },
+  checkDecode ({ recipients, action }) {
+    switch (action) {
+      case constants.ACTION_HIDE_POST:
+      case constants.ACTION_UNHIDE_POST:
+      case constants.ACTION_DROP_POST:
+      case constants.ACTION_UNDROP_POST:
+      case constants.ACTION_HIDE_USER:
+      case constants.ACTION_UNHIDE_USER:
+        validation.checkRecipientsLength(recipients)
+        break
+      case constants.ACTION_DROP_CHANNEL:
+      case constants.ACTION_UNDROP_CHANNEL:
+        if (recipients.length > 0) { throw codec.emptyRecipientsExpected(recipients.length) }
+        break
+      default:
+        throw codec.unknownAction(action)
+    }
+  }
+})
+
+const BLOCK_POST = postSchema("BLOCK_POST", ["publicKey", "secretKey", "links", "timestamp", "recipients", "drop", "notify", "reason", "privacy"], [
+  reason(),
+  varintField("privacy"),
+  recipients(constants.PUBLICKEY_SIZE, ARRAY_KEYS_EXPECTED, validation.checkRecipientsLength),
+  varintField("drop"),
+  varintField("notify")
+])
+
+const UNBLOCK_POST = postSchema("UNBLOCK_POST", ["publicKey", "secretKey", "links", "timestamp", "recipients", "undrop", "reason", "privacy"], [
+  reason(),
+  varintField("privacy"),
+  recipients(constants.PUBLICKEY_SIZE, ARRAY_KEYS_EXPECTED, validation.checkRecipientsLength),
+  varintField("undrop")
+])
+
+module.exports = {
+  HASH_RESPONSE,
+  POST_RESPONSE,
+  CHANNEL_LIST_RESPONSE,
+
+  POST_REQUEST,
+  CANCEL_REQUEST,
+  TIME_RANGE_REQUEST,
+  CHANNEL_STATE_REQUEST,
+  CHANNEL_LIST_REQUEST,
+  MODERATION_STATE_REQUEST,
+
+  TEXT_POST,
+  DELETE_POST,
+  INFO_POST,
+  TOPIC_POST,
+  JOIN_POST,
+  LEAVE_POST,
+
+  ROLE_POST,
+  MODERATION_POST,
+  BLOCK_POST,
+  UNBLOCK_POST
+}
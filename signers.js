@@ -0,0 +1,40 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// a signer signs posts on behalf of a public key, so that the matching secret key doesn't need to be handed to
+// cable.js. it is passed to a post's create() or createAsync() in place of the secretKey (or to build() and
+// buildAsync() as the `signer` option), and is any object of the shape:
+//
+//   publicKey       the public key the signer signs for
+//   sign(payload)   returns the signature of payload, a buffer of constants.SIGNATURE_SIZE bytes, or a promise of it
+//
+// signers keeping their key outside of the process, e.g. in a key agent or an OS keystore, typically return a
+// promise, which only the async variants createAsync() and buildAsync() accept
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const { CableEncodeError, codes } = require("./errors.js")
+
+// the reference signer: signs in-process, using a secret key held in memory
+class KeypairSigner {
+  constructor (keypair) {
+    if (!keypair || !isBufferSize(keypair.publicKey, constants.PUBLICKEY_SIZE) || !isBufferSize(keypair.secretKey, constants.SECRETKEY_SIZE)) {
+      throw new CableEncodeError("expected keypair to hold a publicKey and a secretKey buffer", { code: codes.INVALID_TYPE, field: "keypair" })
+    }
+    this.publicKey = keypair.publicKey
+    this._secretKey = keypair.secretKey
+  }
+
+  sign (payload) {
+    return crypto.signDetached(payload, this._secretKey)
+  }
+}
+
+function isBufferSize (b, size) {
+  return b4a.isBuffer(b) && b.length === size
+}
+
+module.exports = {
+  KeypairSigner
+}
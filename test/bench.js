@@ -0,0 +1,36 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const { createFixtures, createCases } = require("../bench/cases.js")
+const { measure } = require("../bench/harness.js")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("bench: fixtures are reproducible from their seed", t => {
+  const a = createFixtures("seed")
+  const b = createFixtures("seed")
+  const c = createFixtures("another seed")
+  t.true(b4a.equals(a.keypair.publicKey, b.keypair.publicKey), "same seed should generate the same keypair")
+  t.deepEqual(a.batch, b.batch, "same seed should generate the same posts")
+  t.false(b4a.equals(a.keypair.publicKey, c.keypair.publicKey), "different seeds should generate different keypairs")
+  t.end()
+})
+
+test("bench: every case runs", t => {
+  const cases = createCases("seed")
+  t.true(cases.some(c => c.name === "toJSON/MODERATION_STATE_REQUEST"), "cases should cover message types")
+  t.true(cases.some(c => c.name === "parsePost/UNBLOCK_POST"), "cases should cover post types")
+  for (const c of cases) {
+    t.doesNotThrow(c.fn, `${c.name} should run without throwing`)
+  }
+  const result = measure("noop", () => {}, { time: 1 })
+  t.true(result.ops > 0, "measure should report the number of operations run")
+  t.equal(typeof result.opsPerSec, "number", "measure should report ops per second")
+  t.end()
+})
@@ -0,0 +1,195 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const framing = require("../framing")
+const varint = require("varint")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+const POST_REQUEST = cable.POST_REQUEST
+const HASH_RESPONSE = cable.HASH_RESPONSE
+const TEXT_POST = cable.TEXT_POST
+
+function generateFakeHashes (amount) {
+  const hashes = []
+  for (let i = 0; i < amount; i++) {
+    hashes.push(crypto.hash(crypto.generateReqID()))
+  }
+  return hashes
+}
+
+// hand-craft a message with a correct msgLen, circuitid and reqid, followed by `fields`
+function craftMessage (msgType, fields) {
+  const body = b4a.concat([b4a.from(varint.encode(msgType)), b4a.alloc(constants.CIRCUITID_SIZE), crypto.generateReqID(), ...fields])
+  return b4a.concat([b4a.from(varint.encode(body.length)), body])
+}
+
+// hand-craft a post with a valid signature over `fields`, so that decoding gets past the signature check
+function craftPost (keypair, fields) {
+  const buf = b4a.concat([keypair.publicKey, b4a.alloc(constants.SIGNATURE_SIZE), ...fields])
+  crypto.sign(buf, keypair.secretKey)
+  return buf
+}
+
+const errorPattern = /expected/
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("truncated messages and posts are decode errors", t => {
+  const keypair = crypto.generateKeypair()
+  const post = TEXT_POST.create(keypair.publicKey, keypair.secretKey, generateFakeHashes(2), "default", 0, "hello")
+  for (const len of [0, 10, constants.PUBLICKEY_SIZE + 10]) {
+    const err = caught(() => TEXT_POST.toJSON(post.subarray(0, len)))
+    t.true(err instanceof errors.CableDecodeError, `post cut off after ${len} bytes should be a decode error`)
+    t.equal(err.code, errors.codes.TRUNCATED, "code should signal truncation")
+  }
+  // a msgLen that covers everything, where the fields inside disagree with it
+  const message = craftMessage(constants.POST_REQUEST, [b4a.from([0]), b4a.from([2]), generateFakeHashes(1)[0]])
+  const err = caught(() => POST_REQUEST.toJSON(message))
+  t.true(err instanceof errors.CableDecodeError, "hash count exceeding the message should be a decode error")
+  t.equal(err.code, errors.codes.TRUNCATED, "code should signal truncation")
+  t.equal(err.field, "hashes", "field should be hashes")
+  t.throws(() => cable.peekReqid(b4a.from([2, 2, 0])), errorPattern, "peekReqid on a short buffer should throw")
+  t.end()
+})
+
+test("counts claiming more entries than the buffer holds fail fast", t => {
+  const keypair = crypto.generateKeypair()
+  const huge = Math.pow(2, 30)
+
+  const post = craftPost(keypair, [b4a.from(varint.encode(huge)), generateFakeHashes(1)[0]])
+  let err = caught(() => TEXT_POST.toJSON(post))
+  t.true(err instanceof errors.CableDecodeError, "2^30 links should be a decode error")
+  t.equal(err.field, "links", "field should be links")
+  t.throws(() => cable.peekPost(post), errorPattern, "peekPost should check numLinks too")
+
+  const message = craftMessage(constants.HASH_RESPONSE, [b4a.from(varint.encode(huge))])
+  err = caught(() => HASH_RESPONSE.toJSON(message))
+  t.true(err instanceof errors.CableDecodeError, "2^30 hashes should be a decode error")
+  t.equal(err.code, errors.codes.OUT_OF_RANGE, "count above the default limit should signal out of range")
+
+  const text = craftPost(keypair, [b4a.from([0]), b4a.from(varint.encode(constants.TEXT_POST)), b4a.from([0]), b4a.from([7]), b4a.from("default"), b4a.from(varint.encode(huge))])
+  err = caught(() => TEXT_POST.toJSON(text))
+  t.true(err instanceof errors.CableDecodeError, "text length beyond the buffer should be a decode error")
+  t.equal(err.field, "text", "field should be text")
+
+  const varintOnly = craftMessage(constants.HASH_RESPONSE, [b4a.from([0x80, 0x80])])
+  err = caught(() => HASH_RESPONSE.toJSON(varintOnly))
+  t.true(err instanceof errors.CableDecodeError, "varint running past the end of the buffer should be a decode error")
+  t.equal(err.code, errors.codes.TRUNCATED, "code should signal truncation")
+  t.end()
+})
+
+test("decoding limits can be configured", t => {
+  const keypair = crypto.generateKeypair()
+  const message = POST_REQUEST.create(crypto.generateReqID(), 3, generateFakeHashes(4))
+  t.equal(POST_REQUEST.toJSON(message).hashes.length, 4, "4 hashes should decode with the default limits")
+  let err = caught(() => POST_REQUEST.toJSON(message, { maxHashes: 3 }))
+  t.true(err instanceof errors.CableDecodeError, "4 hashes should fail with maxHashes 3")
+  t.equal(err.code, errors.codes.OUT_OF_RANGE, "code should signal out of range")
+  t.equal(err.expected, 3, "expected should be the limit")
+  t.equal(err.actual, 4, "actual should be the decoded count")
+
+  err = caught(() => cable.parseMessage(message, { maxMessageSize: 16 }))
+  t.equal(err.field, "msgLen", "msgLen above maxMessageSize should fail")
+
+  const post = TEXT_POST.create(keypair.publicKey, keypair.secretKey, generateFakeHashes(2), "default", 0, "hi")
+  err = caught(() => cable.parsePost(post, { maxLinks: 1 }))
+  t.equal(err.field, "links", "2 links should fail with maxLinks 1")
+  const lenient = TEXT_POST.toJSON(post, { maxLinks: 1, lenient: true })
+  t.false(lenient.ok, "limits should apply in lenient mode")
+
+  const decoder = new framing.FrameDecoder({ parse: true, maxHashes: 3 })
+  decoder.push(message)
+  t.throws(() => decoder.read(), errorPattern, "frame decoder should pass limits on to parseMessage")
+  t.end()
+})
+
+test("trailing bytes are rejected by every decoder", t => {
+  const keypair = crypto.generateKeypair()
+  const extra = b4a.from([0])
+  const posts = {
+    TEXT_POST: TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hi"),
+    DELETE_POST: cable.DELETE_POST.create(keypair.publicKey, keypair.secretKey, [], 0, generateFakeHashes(1)),
+    INFO_POST: cable.INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["name", "alice"]]),
+    TOPIC_POST: cable.TOPIC_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "topic"),
+    JOIN_POST: cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0),
+    LEAVE_POST: cable.LEAVE_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0),
+    ROLE_POST: cable.ROLE_POST.create(keypair.publicKey, keypair.secretKey, [], "", 0, keypair.publicKey, constants.USER_FLAG, "", 0),
+    MODERATION_POST: cable.MODERATION_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, generateFakeHashes(1), constants.ACTION_HIDE_POST, "", 0),
+    BLOCK_POST: cable.BLOCK_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [keypair.publicKey], 0, 0, "", 0),
+    UNBLOCK_POST: cable.UNBLOCK_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [keypair.publicKey], 0, "", 0)
+  }
+  for (const name in posts) {
+    // re-sign the extended post, so that only the trailing byte is wrong with it
+    const buf = b4a.concat([posts[name], extra])
+    crypto.sign(buf, keypair.secretKey)
+    const err = caught(() => cable[name].toJSON(buf))
+    t.true(err instanceof errors.CableDecodeError, `${name} with a trailing byte should be a decode error`)
+    t.equal(err.code, errors.codes.LENGTH_MISMATCH, `${name} error should signal length mismatch`)
+    t.doesNotThrow(() => cable[name].toJSON(buf, { allowTrailingBytes: true }), `${name} should decode with allowTrailingBytes`)
+  }
+
+  const message = craftMessage(constants.CANCEL_REQUEST, [b4a.from([0]), crypto.generateReqID(), extra])
+  const err = caught(() => cable.CANCEL_REQUEST.toJSON(message))
+  t.equal(err.code, errors.codes.LENGTH_MISMATCH, "message with bytes past its last field should fail")
+  t.doesNotThrow(() => cable.parseMessage(message, { allowTrailingBytes: true }), "message should decode with allowTrailingBytes")
+  t.end()
+})
+
+test("non-minimal varints are rejected", t => {
+  const keypair = crypto.generateKeypair()
+  // 0x80 0x00 is a padded encoding of 0, the timestamp
+  const padded = craftPost(keypair, [b4a.from([0]), b4a.from(varint.encode(constants.JOIN_POST)), b4a.from([0x80, 0x00]), b4a.from([7]), b4a.from("default")])
+  const minimal = craftPost(keypair, [b4a.from([0]), b4a.from(varint.encode(constants.JOIN_POST)), b4a.from([0x00]), b4a.from([7]), b4a.from("default")])
+  t.equal(cable.JOIN_POST.toJSON(minimal).timestamp, 0, "minimal timestamp should decode")
+  const err = caught(() => cable.JOIN_POST.toJSON(padded))
+  t.true(err instanceof errors.CableDecodeError, "padded timestamp should be a decode error")
+  t.equal(err.code, errors.codes.INVALID_VARINT, "code should signal an invalid varint")
+
+  // ttl padded to 3 bytes
+  const message = craftMessage(constants.POST_REQUEST, [b4a.from([0x83, 0x80, 0x00]), b4a.from([0])])
+  t.throws(() => POST_REQUEST.toJSON(message), /minimally encoded/, "padded ttl should throw")
+
+  const tooLarge = craftMessage(constants.POST_REQUEST, [b4a.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x7f]), b4a.from([0])])
+  t.throws(() => POST_REQUEST.toJSON(tooLarge), errorPattern, "varint beyond Number.MAX_SAFE_INTEGER should throw")
+
+  const frame = POST_REQUEST.create(crypto.generateReqID(), 0, [])
+  const decoder = new framing.FrameDecoder()
+  decoder.push(b4a.concat([b4a.from([frame[0] | 0x80, 0x00]), frame.subarray(1)]))
+  t.throws(() => decoder.read(), /minimally encoded/, "frame decoder should reject a padded msgLen")
+  t.end()
+})
+
+test("varints are decoded in place, at any offset", t => {
+  // multi-byte varints following other fields, including values past 32 bits
+  const request = cable.TIME_RANGE_REQUEST.create(crypto.generateReqID(), 3, "default", Math.pow(2, 40), Number.MAX_SAFE_INTEGER, 300)
+  const obj = cable.TIME_RANGE_REQUEST.toJSON(request)
+  t.equal(obj.timeStart, Math.pow(2, 40), "value past 32 bits should decode")
+  t.equal(obj.timeEnd, Number.MAX_SAFE_INTEGER, "largest safe integer should decode")
+  t.equal(obj.limit, 300, "two-byte varint should decode")
+
+  // a ttl whose continuation bit promises more bytes than the message holds
+  let err = caught(() => POST_REQUEST.toJSON(craftMessage(constants.POST_REQUEST, [b4a.from([0x83])])))
+  t.equal(err && err.code, errors.codes.TRUNCATED, "varint cut off by the end of the buffer should be signalled")
+  const overlong = b4a.concat([b4a.alloc(constants.MAX_VARINT_SIZE, 0xff), b4a.from([0x01, 0x00])])
+  err = caught(() => POST_REQUEST.toJSON(craftMessage(constants.POST_REQUEST, [overlong])))
+  t.equal(err && err.code, errors.codes.INVALID_VARINT, "varint longer than MAX_VARINT_SIZE should be signalled")
+
+  // the frame decoder reads msgLen with the same decoder, waiting for the rest of a msgLen split across chunks
+  const decoder = new framing.FrameDecoder()
+  decoder.push(b4a.from([0x81]))
+  t.equal(decoder.read(), null, "first byte of a msgLen should wait for the rest")
+  decoder.push(b4a.from([0x00]))
+  t.throws(() => decoder.read(), /minimally encoded/, "padded msgLen split across chunks should throw")
+  t.end()
+})
@@ -0,0 +1,68 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("build() matches create() given the same arguments", t => {
+  const keypair = crypto.generateKeypair()
+  const recipient = crypto.generateKeypair().publicKey
+  const links = [crypto.hash(crypto.generateReqID())]
+  const reqid = crypto.generateReqID()
+
+  const positional = cable.BLOCK_POST.create(keypair.publicKey, keypair.secretKey, links, 1, [recipient], 1, 0, "spam", 0)
+  const named = cable.BLOCK_POST.build({ keypair, links, timestamp: 1, recipients: [recipient], notify: 0, drop: 1, reason: "spam", privacy: 0 })
+  t.deepEqual(named, positional, "post/block should encode the same, regardless of option order")
+
+  const moderation = cable.MODERATION_POST.build({ publicKey: keypair.publicKey, secretKey: keypair.secretKey, links, channel: "default", timestamp: 2, recipients: [recipient], action: constants.ACTION_HIDE_USER, reason: "", privacy: 0 })
+  t.deepEqual(moderation, cable.MODERATION_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 2, [recipient], constants.ACTION_HIDE_USER, "", 0), "publicKey and secretKey can be passed instead of keypair")
+
+  const request = cable.TIME_RANGE_REQUEST.build({ reqid, ttl: 3, channel: "default", timeStart: 0, timeEnd: 100, limit: 20 })
+  t.deepEqual(request, cable.TIME_RANGE_REQUEST.create(reqid, 3, "default", 0, 100, 20), "requests should encode the same")
+  t.end()
+})
+
+test("build() fills in defaults", t => {
+  const keypair = crypto.generateKeypair()
+  const before = Date.now()
+  const post = cable.TEXT_POST.toJSON(cable.TEXT_POST.build({ keypair, channel: "default", text: "hi" }))
+  t.deepEqual(post.links, [], "links should default to none")
+  t.true(post.timestamp >= before && post.timestamp <= Date.now(), "timestamp should default to now")
+
+  const unblock = cable.UNBLOCK_POST.toJSON(cable.UNBLOCK_POST.build({ keypair, recipients: [keypair.publicKey], undrop: 1 }))
+  t.equal(unblock.reason, "", "reason should default to empty")
+  t.equal(unblock.privacy, 0, "privacy should default to 0")
+
+  const request = cable.POST_REQUEST.toJSON(cable.POST_REQUEST.build({ hashes: [] }))
+  t.equal(request.reqid.length, constants.REQID_SIZE, "reqid should default to a fresh one")
+  t.equal(request.ttl, 0, "ttl should default to 0")
+  t.end()
+})
+
+test("build() rejects unknown and missing options", t => {
+  const keypair = crypto.generateKeypair()
+  let err = caught(() => cable.JOIN_POST.build({ keypair, chanel: "default" }))
+  t.true(err instanceof errors.CableEncodeError, "misspelled option should be an encode error")
+  t.equal(err.field, "chanel", "field should be the unknown option")
+
+  err = caught(() => cable.BLOCK_POST.build({ keypair, recipients: [keypair.publicKey], drop: 1 }))
+  t.true(err instanceof errors.CableEncodeError, "missing option without a default should be an encode error")
+  t.equal(err.field, "notify", "field should be the missing option")
+
+  err = caught(() => cable.JOIN_POST.build({ channel: "default" }))
+  t.equal(err.field, "secretKey", "post without a keypair should fail")
+
+  err = caught(() => cable.CANCEL_REQUEST.build())
+  t.true(err instanceof errors.CableEncodeError, "missing options object should be an encode error")
+  t.end()
+})
@@ -0,0 +1,141 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+function generateFakeHashes (amount) {
+  const hashes = []
+  for (let i = 0; i < amount; i++) {
+    hashes.push(crypto.hash(crypto.generateReqID()))
+  }
+  return hashes
+}
+
+// one buffer of every message type, and one of every post type
+function createAll () {
+  const { publicKey, secretKey } = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const links = generateFakeHashes(2)
+  const post = cable.TEXT_POST.create(publicKey, secretKey, links, "default", 1, "hello")
+  const messages = [
+    cable.HASH_RESPONSE.create(reqid, generateFakeHashes(3)),
+    cable.POST_RESPONSE.create(reqid, [post, post]),
+    cable.CHANNEL_LIST_RESPONSE.create(reqid, ["default", "dev"]),
+    cable.POST_REQUEST.create(reqid, 3, generateFakeHashes(2)),
+    cable.CANCEL_REQUEST.create(reqid, 0, crypto.generateReqID()),
+    cable.TIME_RANGE_REQUEST.create(reqid, 3, "default", 0, 100, 20),
+    cable.CHANNEL_STATE_REQUEST.create(reqid, 3, "default", 1),
+    cable.CHANNEL_LIST_REQUEST.create(reqid, 3, 0, 20),
+    cable.MODERATION_STATE_REQUEST.create(reqid, 3, ["default"], 1, 0)
+  ]
+  const posts = [
+    post,
+    cable.DELETE_POST.create(publicKey, secretKey, links, 2, generateFakeHashes(1)),
+    cable.INFO_POST.create(publicKey, secretKey, links, 3, [["name", "alice"], ["accept-role", 1]]),
+    cable.TOPIC_POST.create(publicKey, secretKey, links, "default", 4, "topic"),
+    cable.JOIN_POST.create(publicKey, secretKey, links, "default", 5),
+    cable.LEAVE_POST.create(publicKey, secretKey, links, "default", 6),
+    cable.ROLE_POST.create(publicKey, secretKey, links, "", 7, publicKey, constants.MOD_FLAG, "trusted", 0),
+    cable.MODERATION_POST.create(publicKey, secretKey, links, "default", 8, generateFakeHashes(2), constants.ACTION_HIDE_POST, "spam", 0),
+    cable.BLOCK_POST.create(publicKey, secretKey, links, 9, [publicKey], 1, 0, "", 0),
+    cable.UNBLOCK_POST.create(publicKey, secretKey, links, 10, [publicKey], 1, "", 0)
+  ]
+  return { messages, posts, secretKey }
+}
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("encode() round-trips every message and post type", t => {
+  const { messages, posts } = createAll()
+  messages.forEach(buf => {
+    const obj = cable.parseMessage(buf)
+    t.deepEqual(cable.encode(obj), buf, `encode(parseMessage(buf)) should equal buf for msgType ${obj.msgType}`)
+  })
+  posts.forEach(buf => {
+    const obj = cable.parsePost(buf)
+    t.deepEqual(cable.encode(obj), buf, `encode(parsePost(buf)) should equal buf for postType ${obj.postType}`)
+  })
+  t.end()
+})
+
+test("fromJSON() is the inverse of toJSON()", t => {
+  const { messages } = createAll()
+  const request = cable.POST_REQUEST.toJSON(messages[3])
+  t.deepEqual(cable.POST_REQUEST.fromJSON(request), messages[3], "unchanged request should encode to the same bytes")
+
+  const forwarded = cable.POST_REQUEST.fromJSON(Object.assign({}, request, { ttl: request.ttl - 1 }))
+  t.deepEqual(forwarded, cable.POST_REQUEST.decrementTTL(messages[3]), "changing ttl should match decrementTTL")
+  t.equal(cable.POST_REQUEST.toJSON(forwarded).ttl, 2, "ttl should be updated")
+
+  const reqid = crypto.generateReqID()
+  const reissued = cable.CHANNEL_LIST_REQUEST.toJSON(cable.encode(Object.assign(cable.parseMessage(messages[7]), { reqid })))
+  t.deepEqual(reissued.reqid, reqid, "changing reqid should re-emit the message with the new reqid")
+  t.end()
+})
+
+test("posts keep their signature, or are re-signed with a secretKey", t => {
+  const { posts, secretKey } = createAll()
+  const obj = cable.TEXT_POST.toJSON(posts[0])
+
+  const changed = Object.assign({}, obj, { text: "changed" })
+  const err = caught(() => cable.encode(changed))
+  t.true(err instanceof errors.CableSignatureError, "changed post without a secretKey should fail to verify")
+
+  const resigned = cable.encode(Object.assign(changed, { secretKey }))
+  const decoded = cable.TEXT_POST.toJSON(resigned)
+  t.equal(decoded.text, "changed", "re-signed post should carry the change")
+  t.notDeepEqual(decoded.signature, obj.signature, "re-signed post should have a new signature")
+  t.end()
+})
+
+test("info posts reject repeated keys, which decoding would collapse", t => {
+  const { publicKey, secretKey } = crypto.generateKeypair()
+  let err = caught(() => cable.INFO_POST.create(publicKey, secretKey, [], 0, [["name", "a"], ["name", "b"]]))
+  t.true(err instanceof errors.CableValidationError, "repeated key should be a validation error")
+  t.equal(err.code, errors.codes.DUPLICATE_VALUE, "code should signal the repeated key")
+
+  // a post carrying a second name pair, the way another implementation might have encoded it
+  const buf = cable.INFO_POST.create(publicKey, secretKey, [], 0, [["name", "a"]])
+  const pair = b4a.concat([b4a.from([4]), b4a.from("name"), b4a.from([1]), b4a.from("b")])
+  const repeated = b4a.concat([buf.subarray(0, buf.length - 1), pair, buf.subarray(buf.length - 1)])
+  err = caught(() => cable.INFO_POST.toJSON(repeated, { verify: false }))
+  t.equal(err && err.code, errors.codes.DUPLICATE_VALUE, "decoding a repeated key should throw")
+  t.end()
+})
+
+test("moderation posts with an unknown action are rejected when decoded, as when encoded", t => {
+  const { publicKey, secretKey } = crypto.generateKeypair()
+  let err = caught(() => cable.MODERATION_POST.create(publicKey, secretKey, [], "default", 0, [], 99, "", 0))
+  t.equal(err && err.code, errors.codes.UNKNOWN_VALUE, "encoding an unknown action should throw")
+
+  // the action is the last field of a post without reason and privacy
+  const buf = cable.MODERATION_POST.create(publicKey, secretKey, [], "default", 0, [], constants.ACTION_DROP_CHANNEL, "", 0)
+  const unknown = b4a.from(buf)
+  unknown[unknown.length - 1] = 99
+  err = caught(() => cable.MODERATION_POST.toJSON(unknown, { verify: false }))
+  t.true(err instanceof errors.CableValidationError, "decoding an unknown action should be a validation error")
+  t.equal(err && err.field, "action", "error should name the action field")
+  t.equal(err && err.code, errors.codes.UNKNOWN_VALUE, "code should match the one encode() throws")
+  t.end()
+})
+
+test("encode() rejects what it can't dispatch on", t => {
+  let err = caught(() => cable.encode({ msgType: 100 }))
+  t.true(err instanceof errors.CableEncodeError, "unknown msgType should be an encode error")
+  t.equal(err.code, errors.codes.UNKNOWN_TYPE, "code should signal unknown type")
+  err = caught(() => cable.encode({ postType: 100 }))
+  t.equal(err.field, "postType", "unknown postType should name the field")
+  err = caught(() => cable.encode(b4a.from("hi")))
+  t.true(err instanceof errors.CableEncodeError, "a buffer should be an encode error")
+  t.end()
+})
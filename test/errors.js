@@ -0,0 +1,148 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+const POST_REQUEST = cable.POST_REQUEST
+const TEXT_POST = cable.TEXT_POST
+const INFO_POST = cable.INFO_POST
+const BLOCK_POST = cable.BLOCK_POST
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("error classes share a common base", t => {
+  const err = new errors.CableDecodeError("expected something", { code: errors.codes.TRUNCATED, field: "links", expected: 2, actual: 1 })
+  t.true(err instanceof Error, "should be an Error")
+  t.true(err instanceof errors.CableError, "should be a CableError")
+  t.equal(err.name, "CableDecodeError", "name should be the class name")
+  t.equal(err.code, "ERR_TRUNCATED", "code should be set")
+  t.equal(err.field, "links", "field should be set")
+  t.equal(err.expected, 2, "expected should be set")
+  t.equal(err.actual, 1, "actual should be set")
+  t.end()
+})
+
+test("create(): programmer errors are encode errors", t => {
+  const keypair = crypto.generateKeypair()
+  let err = caught(() => POST_REQUEST.create(crypto.generateReqID(), 3))
+  t.true(err instanceof errors.CableEncodeError, "missing argument should be an encode error")
+  t.equal(err.code, errors.codes.ARGUMENT_COUNT, "code should signal argument count")
+  t.equal(err.expected, 3, "expected argument count should be set")
+  t.equal(err.actual, 2, "actual argument count should be set")
+
+  err = caught(() => POST_REQUEST.create("reqid", 3, []))
+  t.true(err instanceof errors.CableEncodeError, "faulty reqid should be an encode error")
+  t.equal(err.code, errors.codes.INVALID_TYPE, "code should signal invalid type")
+  t.equal(err.field, "reqid", "field should be reqid")
+  t.equal(err.expected, constants.REQID_SIZE, "expected should be the reqid size")
+
+  err = caught(() => TEXT_POST.create(keypair.publicKey, keypair.secretKey, "links", "default", 0, "hi"))
+  t.true(err instanceof errors.CableEncodeError, "faulty links should be an encode error")
+  t.equal(err.field, "links", "field should be links")
+  t.end()
+})
+
+test("create(): values outside of the spec are validation errors", t => {
+  const keypair = crypto.generateKeypair()
+  let err = caught(() => POST_REQUEST.create(crypto.generateReqID(), 17, []))
+  t.true(err instanceof errors.CableValidationError, "ttl above 16 should be a validation error")
+  t.equal(err.code, errors.codes.OUT_OF_RANGE, "code should signal out of range")
+  t.equal(err.field, "ttl", "field should be ttl")
+  t.equal(err.actual, 17, "actual should be the faulty ttl")
+
+  err = caught(() => TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "c".repeat(65), 0, "hi"))
+  t.true(err instanceof errors.CableValidationError, "overlong channel name should be a validation error")
+  t.equal(err.field, "channel", "field should be channel")
+  t.deepEqual(err.expected, [constants.CHANNEL_NAME_MIN_CODEPOINTS, constants.CHANNEL_NAME_MAX_CODEPOINTS], "expected should be the channel name range")
+
+  err = caught(() => TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "a".repeat(constants.POST_TEXT_MAX_BYTES + 1)))
+  t.true(err instanceof errors.CableValidationError, "overlong text should be a validation error")
+  t.equal(err.field, "text", "field should be text")
+
+  err = caught(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["nickname", "x"]]))
+  t.true(err instanceof errors.CableValidationError, "unknown info key should be a validation error")
+  t.equal(err.code, errors.codes.UNKNOWN_VALUE, "code should signal unknown value")
+
+  err = caught(() => BLOCK_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [], 0, 0, "", 0))
+  t.true(err instanceof errors.CableValidationError, "zero recipients should be a validation error")
+  t.equal(err.field, "recipients", "field should be recipients")
+  t.end()
+})
+
+test("toJSON(): malformed buffers are decode errors", t => {
+  const buf = POST_REQUEST.create(crypto.generateReqID(), 3, [crypto.hash(b4a.from("a"))])
+  let err = caught(() => POST_REQUEST.toJSON(buf.subarray(0, buf.length - 1)))
+  t.true(err instanceof errors.CableDecodeError, "truncated message should be a decode error")
+  t.equal(err.code, errors.codes.LENGTH_MISMATCH, "code should signal length mismatch")
+
+  err = caught(() => cable.CANCEL_REQUEST.toJSON(buf))
+  t.true(err instanceof errors.CableDecodeError, "wrong msgType should be a decode error")
+  t.equal(err.code, errors.codes.WRONG_TYPE, "code should signal wrong type")
+  t.equal(err.expected, constants.CANCEL_REQUEST, "expected should be the decoder's msgType")
+  t.equal(err.actual, constants.POST_REQUEST, "actual should be the decoded msgType")
+  t.end()
+})
+
+test("toJSON(): tampered posts are signature errors", t => {
+  const keypair = crypto.generateKeypair()
+  const buf = TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hello")
+  buf[buf.length - 1] ^= 1
+  const err = caught(() => TEXT_POST.toJSON(buf))
+  t.true(err instanceof errors.CableSignatureError, "modified post should be a signature error")
+  t.equal(err.code, errors.codes.INVALID_SIGNATURE, "code should signal invalid signature")
+  t.end()
+})
+
+test("toJSON(): every decoder throws on a type mismatch", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const message = cable.CANCEL_REQUEST.create(reqid, 0, crypto.generateReqID())
+  const post = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+  const messageDecoders = ["HASH_RESPONSE", "POST_RESPONSE", "CHANNEL_LIST_RESPONSE", "POST_REQUEST", "TIME_RANGE_REQUEST", "CHANNEL_STATE_REQUEST", "CHANNEL_LIST_REQUEST", "MODERATION_STATE_REQUEST"]
+  const postDecoders = ["TEXT_POST", "DELETE_POST", "INFO_POST", "TOPIC_POST", "LEAVE_POST", "ROLE_POST", "MODERATION_POST", "BLOCK_POST", "UNBLOCK_POST"]
+  messageDecoders.forEach(name => {
+    const err = caught(() => cable[name].toJSON(message))
+    t.true(err instanceof errors.CableDecodeError, `${name}.toJSON should throw a decode error for a cancel request`)
+  })
+  postDecoders.forEach(name => {
+    const err = caught(() => cable[name].toJSON(post))
+    t.true(err instanceof errors.CableDecodeError, `${name}.toJSON should throw a decode error for a post/join`)
+    t.equal(err.code, errors.codes.WRONG_TYPE, `${name}.toJSON error should signal wrong type`)
+  })
+  t.end()
+})
+
+test("toJSON(): lenient mode returns a result object", t => {
+  const keypair = crypto.generateKeypair()
+  const post = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+
+  const good = cable.JOIN_POST.toJSON(post, { lenient: true })
+  t.true(good.ok, "decoding a post/join as post/join should be ok")
+  t.equal(good.error, null, "error should be null")
+  t.equal(good.value.channel, "default", "value should hold the decoded post")
+
+  const bad = TEXT_POST.toJSON(post, { lenient: true })
+  t.false(bad.ok, "decoding a post/join as post/text should not be ok")
+  t.equal(bad.value, null, "value should be null")
+  t.true(bad.error instanceof errors.CableDecodeError, "error should hold the decode error")
+
+  const parsed = cable.parsePost(post, { lenient: true })
+  t.true(parsed.ok, "parsePost should be ok")
+  t.equal(parsed.value.postType, constants.JOIN_POST, "parsePost value should be the decoded post")
+
+  const message = POST_REQUEST.create(crypto.generateReqID(), 3, [])
+  const truncated = cable.parseMessage(message.subarray(0, message.length - 1), { lenient: true })
+  t.false(truncated.ok, "parseMessage of a truncated message should not be ok")
+  t.true(truncated.error instanceof errors.CableDecodeError, "parseMessage error should be a decode error")
+  t.end()
+})
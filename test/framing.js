@@ -0,0 +1,279 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const { Readable } = require("stream")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const framing = require("../framing")
+const b4a = require("b4a")
+
+const POST_REQUEST = cable.POST_REQUEST
+const CANCEL_REQUEST = cable.CANCEL_REQUEST
+const CHANNEL_LIST_RESPONSE = cable.CHANNEL_LIST_RESPONSE
+
+function generateFakeHashes (amount) {
+  const hashes = []
+  for (let i = 0; i < amount; i++) {
+    hashes.push(crypto.hash(crypto.generateReqID()))
+  }
+  return hashes
+}
+
+function generateFrames () {
+  return [
+    POST_REQUEST.create(crypto.generateReqID(), 3, generateFakeHashes(3)),
+    CANCEL_REQUEST.create(crypto.generateReqID(), 0, crypto.generateReqID()),
+    CHANNEL_LIST_RESPONSE.create(crypto.generateReqID(), ["default", "dev", "introduction"])
+  ]
+}
+
+function readAll (decoder) {
+  const frames = []
+  let frame
+  while ((frame = decoder.read()) !== null) {
+    frames.push(frame)
+  }
+  return frames
+}
+
+const errorPattern = /expected/
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("frame decoder: multiple frames in a single chunk", t => {
+  const frames = generateFrames()
+  const decoder = new framing.FrameDecoder()
+  decoder.push(b4a.concat(frames))
+  t.deepEqual(readAll(decoder), frames, "all frames should be decoded from the chunk")
+  t.equal(decoder.read(), null, "no more frames should remain")
+  t.doesNotThrow(() => decoder.end(), "ending on a frame boundary should not throw")
+  t.end()
+})
+
+test("frame decoder: frames split across single-byte chunks", t => {
+  const frames = generateFrames()
+  const stream = b4a.concat(frames)
+  const decoder = new framing.FrameDecoder()
+  const decoded = []
+  for (let i = 0; i < stream.length; i++) {
+    decoder.push(stream.subarray(i, i + 1))
+    decoded.push(...readAll(decoder))
+  }
+  t.deepEqual(decoded, frames, "frames should be reassembled from single bytes")
+  t.end()
+})
+
+test("frame decoder: frame with a multi-byte msgLen split inside the varint", t => {
+  // 5 hashes push msgLen past 127, making the msgLen varint two bytes long
+  const frame = POST_REQUEST.create(crypto.generateReqID(), 3, generateFakeHashes(5))
+  t.true(frame[0] >= 0x80, "msgLen should be a multi-byte varint")
+  const decoder = new framing.FrameDecoder()
+  decoder.push(frame.subarray(0, 1))
+  t.equal(decoder.read(), null, "half a msgLen should not yield a frame")
+  decoder.push(frame.subarray(1, 40))
+  t.equal(decoder.read(), null, "a partial frame should not yield a frame")
+  decoder.push(frame.subarray(40))
+  t.deepEqual(decoder.read(), frame, "completed frame should be returned")
+  t.end()
+})
+
+test("frame decoder: parse option returns message objects", t => {
+  const frames = generateFrames()
+  const decoder = new framing.FrameDecoder({ parse: true })
+  decoder.push(b4a.concat(frames))
+  const objs = readAll(decoder)
+  t.equal(objs.length, frames.length, "should return one object per frame")
+  t.equal(objs[0].msgType, constants.POST_REQUEST, "first object should be a post request")
+  t.equal(objs[1].msgType, constants.CANCEL_REQUEST, "second object should be a cancel request")
+  t.deepEqual(objs[2].channels, ["default", "dev", "introduction"], "channels should be decoded")
+  t.end()
+})
+
+test("frame decoder: oversized and corrupt lengths", t => {
+  const frame = generateFrames()[0]
+
+  const small = new framing.FrameDecoder({ maxMessageSize: 16 })
+  small.push(frame)
+  t.throws(() => small.read(), errorPattern, "msgLen above maxMessageSize should throw")
+  t.throws(() => small.push(frame), errorPattern, "decoder should stay failed after a corrupt frame")
+
+  const endless = new framing.FrameDecoder()
+  endless.push(b4a.alloc(constants.MAX_VARINT_SIZE, 0xff))
+  t.throws(() => endless.read(), errorPattern, "unterminated msgLen varint should throw")
+
+  const empty = new framing.FrameDecoder()
+  empty.push(b4a.from([0]))
+  t.throws(() => empty.read(), errorPattern, "msgLen of zero should throw")
+  t.end()
+})
+
+test("frame decoder: stream ending inside a frame", t => {
+  const frame = generateFrames()[0]
+  const decoder = new framing.FrameDecoder()
+  decoder.push(frame.subarray(0, frame.length - 1))
+  t.equal(decoder.read(), null, "truncated frame should not be returned")
+  t.throws(() => decoder.end(), errorPattern, "ending partway through a frame should throw")
+  t.end()
+})
+
+test("decodeFrames: async iteration over a chunked nodejs stream", async t => {
+  const frames = generateFrames()
+  const stream = b4a.concat(frames)
+  const chunks = []
+  for (let i = 0; i < stream.length; i += 7) {
+    chunks.push(stream.subarray(i, i + 7))
+  }
+  const decoded = []
+  for await (const frame of framing.decodeFrames(Readable.from(chunks))) {
+    decoded.push(frame)
+  }
+  t.deepEqual(decoded, frames, "frames should be decoded from the stream")
+  t.end()
+})
+
+test("createDecodeStream: transform stream emits parsed messages", t => {
+  const frames = generateFrames()
+  const stream = b4a.concat(frames)
+  const decodeStream = framing.createDecodeStream({ parse: true })
+  const objs = []
+  decodeStream.on("data", obj => objs.push(obj))
+  decodeStream.on("end", () => {
+    t.equal(objs.length, frames.length, "should emit one object per frame")
+    t.deepEqual(objs.map(o => o.msgType), [constants.POST_REQUEST, constants.CANCEL_REQUEST, constants.CHANNEL_LIST_RESPONSE], "msg types should be in order")
+    t.end()
+  })
+  decodeStream.write(stream.subarray(0, 50))
+  decodeStream.write(stream.subarray(50))
+  decodeStream.end()
+})
+
+test("encodeFrame: accepts created buffers and message objects", t => {
+  const [frame] = generateFrames()
+  t.equal(framing.encodeFrame(frame), frame, "created buffer should be passed through as is")
+  const obj = POST_REQUEST.toJSON(frame)
+  t.deepEqual(framing.encodeFrame(obj), frame, "toJSON object should encode to the same bytes")
+
+  const keypair = crypto.generateKeypair()
+  const post = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 100)
+  t.throws(() => framing.encodeFrame(post), errorPattern, "a post is not a length-prefixed message")
+  t.throws(() => framing.encodeFrame({ msgType: 100 }), /unknown message type/, "unknown msgType should throw")
+  t.end()
+})
+
+test("encodeFrame: rejects a padded msgLen", async t => {
+  const frame = CANCEL_REQUEST.create(crypto.generateReqID(), 0, crypto.generateReqID())
+  t.true(frame[0] < 0x80, "msgLen should be a single byte")
+  // the same msgLen, padded to two bytes
+  const padded = b4a.concat([b4a.from([0x80 | frame[0], 0x00]), frame.subarray(1)])
+  t.throws(() => framing.encodeFrame(padded), /minimally encoded/, "padded msgLen should throw")
+  const { PassThrough } = require("stream")
+  await new framing.FrameWriter(new PassThrough()).write(padded).then(
+    () => t.fail("FrameWriter should refuse it"),
+    (err) => t.true(/minimally encoded/.test(err.message), "FrameWriter should refuse it"))
+  const decoder = new framing.FrameDecoder()
+  decoder.push(padded)
+  t.throws(() => decoder.read(), /minimally encoded/, "the decoder rejects it as well")
+  t.end()
+})
+
+test("FrameWriter: waits for a nodejs writable to drain", async t => {
+  const { Writable } = require("stream")
+  const frames = generateFrames()
+  const written = []
+  // hold on to write callbacks to simulate a peer that is slow to read
+  let held = []
+  let holding = true
+  const sink = new Writable({
+    highWaterMark: 1,
+    write (chunk, encoding, done) {
+      written.push(chunk)
+      if (holding) { return held.push(done) }
+      done()
+    }
+  })
+  const writer = new framing.FrameWriter(sink)
+  let resolved = false
+  const writing = writer.write(frames[0]).then(() => { resolved = true })
+  await new Promise(resolve => setImmediate(resolve))
+  t.false(resolved, "write should not resolve while the sink is full")
+  holding = false
+  held.forEach(done => done())
+  await writing
+  t.true(resolved, "write should resolve once the sink has drained")
+  await writer.write(CANCEL_REQUEST.toJSON(frames[1]))
+  const listeners = sink.listenerCount("error")
+  await writer.end()
+  t.equal(sink.listenerCount("error"), listeners, "end should remove its error listener once it resolves")
+  t.deepEqual(written, frames.slice(0, 2), "frames should be written in order")
+  t.end()
+})
+
+test("FrameWriter: rejects with a typed error if the sink closes while full", async t => {
+  const { Writable } = require("stream")
+  const sink = new Writable({
+    highWaterMark: 1,
+    write () {}
+  })
+  const writer = new framing.FrameWriter(sink)
+  const writing = writer.write(generateFrames()[0])
+  sink.destroy()
+  const err = await writing.catch(err => err)
+  t.true(err instanceof errors.CableEncodeError, "should reject with a CableEncodeError")
+  t.equal(err.code, errors.codes.STREAM_CLOSED, "should signal that the stream was closed")
+  t.end()
+})
+
+test("FrameWriter: rejects right away if the sink is already destroyed or ended", async t => {
+  const { Writable } = require("stream")
+  const destroyed = new Writable({ write (chunk, encoding, done) { done() } })
+  destroyed.on("error", () => {})
+  destroyed.destroy()
+  let err = await new framing.FrameWriter(destroyed).write(generateFrames()[0]).catch(err => err)
+  t.true(err instanceof errors.CableEncodeError, "destroyed sink should reject with a CableEncodeError")
+  t.equal(err.code, errors.codes.STREAM_CLOSED, "destroyed sink should signal that the stream was closed")
+
+  const ended = new Writable({ write (chunk, encoding, done) { done() } })
+  ended.on("error", () => {})
+  ended.end()
+  err = await new framing.FrameWriter(ended).write(generateFrames()[0]).catch(err => err)
+  t.equal(err && err.code, errors.codes.STREAM_CLOSED, "ended sink should signal that the stream was closed")
+  t.end()
+})
+
+test("FrameWriter: writes to a web WritableStream", async t => {
+  const frames = generateFrames()
+  const written = []
+  const sink = new WritableStream({
+    write (chunk) { written.push(chunk) }
+  }, { highWaterMark: 1 })
+  const writer = new framing.FrameWriter(sink)
+  for (const frame of frames) {
+    await writer.write(frame)
+  }
+  await writer.end()
+  t.deepEqual(written, frames, "all frames should be written in order")
+  t.end()
+})
+
+test("createEncodeStream: round trip through the decode stream", t => {
+  const frames = generateFrames()
+  const objs = frames.map(frame => cable.parseMessage(frame))
+  const encodeStream = framing.createEncodeStream()
+  const decodeStream = framing.createDecodeStream()
+  const decoded = []
+  encodeStream.pipe(decodeStream)
+  decodeStream.on("data", frame => decoded.push(frame))
+  decodeStream.on("end", () => {
+    t.deepEqual(decoded, frames, "frames should survive encoding and decoding")
+    t.end()
+  })
+  objs.forEach(obj => encodeStream.write(obj))
+  encodeStream.end()
+})
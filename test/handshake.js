@@ -0,0 +1,266 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const { Duplex } = require("stream")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const framing = require("../framing")
+const { Handshake, secureStream, MAX_PLAINTEXT_SIZE } = require("../handshake")
+const b4a = require("b4a")
+const sodium = require("sodium-universal")
+const { caught } = require("../testutils/caught")
+
+// two in-memory duplex streams connected to each other, standing in for both ends of a socket
+function duplexPair () {
+  const sides = []
+  const other = (side) => sides[1 - sides.indexOf(side)]
+  for (let i = 0; i < 2; i++) {
+    sides.push(new Duplex({
+      read () {},
+      write (chunk, encoding, done) {
+        other(this).push(chunk)
+        done()
+      },
+      final (done) {
+        other(this).push(null)
+        done()
+      },
+      destroy (err, done) {
+        const peer = other(this)
+        if (!peer.readableEnded) { peer.push(null) }
+        done(err)
+      }
+    }))
+  }
+  return sides
+}
+
+// a handshake and the transport after it, recorded with noise-handshake 4.2.0 (an independent implementation of
+// Noise_XXpsk0_25519_ChaChaPoly_BLAKE2b) from fixed keys: the ed25519 keypairs of the seeds, converted to x25519 for
+// the static keys, the cabal key as the psk and "CABLE1" as the prologue. the handshake payloads are the ed25519
+// public keys, as in handshake.js. testutils/handshake-vectors.js derives these values
+const KNOWN_ANSWER = {
+  initiatorSeed: "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f",
+  responderSeed: "202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f",
+  cabalKey: "404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f",
+  initiatorEphemeral: "606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f",
+  responderEphemeral: "808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f",
+  messages: [
+    "675dd574ed7789310b3d2e7681f3790b466c773b1521fecf36577958371ea52fd9b6dc817d00eb0a834de7613ba7da4a",
+    "493e82fc74464a59268817623d2053c5eb8e2cc4a988b4fee179ec6b010d531d1124cbf511f2b6f11f170e6d272cf69ec1696ee792af280ff0e9bad69dbf1c69df03f5a281c3a5d361dc3d5cea2b47fd2a318477babc1fec0d15acbd4150a6f68f1ce2dbe82aeef103f6a397e7ceca90ebbc096abe465ec107db78f52f24de09",
+    "e886398bea546f2571d206c1a24ac94bcc8f159ef768ef9a5c6e45756f03f67bc234d6136cbaece36e18f472b47cc3a99de5f2976da055bca302e32bd845cb65df7bbbef2a0aa7ba003561dd23254a9ff95733702fa2c6b6f28c05763e662d87"
+  ],
+  // "hello", then "bob"
+  initiatorToResponder: [
+    "86e6fbbcb3c5632db186dcea4f06d66f3751a2bbe3",
+    "42d2892232a5e57f1f4a6af93719d240f8b06d"
+  ],
+  // "hi alice"
+  responderToInitiator: [
+    "e7879ed5882da2bc0c7e75ff2cf60fe0a4fc4a398e1bc37a"
+  ]
+}
+
+// a handshake using the given x25519 secret key as its ephemeral key
+function fixedEphemeral (handshake, secretHex) {
+  const secretKey = b4a.from(secretHex, "hex")
+  const publicKey = b4a.alloc(sodium.crypto_scalarmult_BYTES)
+  sodium.crypto_scalarmult_base(publicKey, secretKey)
+  handshake._e = { publicKey, secretKey }
+  return handshake
+}
+
+// runs a handshake between two Handshake objects, returning the messages exchanged
+function runHandshake (initiator, responder) {
+  const messages = []
+  let msg
+  while (!initiator.complete || !responder.complete) {
+    while ((msg = initiator.send()) !== null) { messages.push(msg); responder.recv(msg) }
+    while ((msg = responder.send()) !== null) { messages.push(msg); initiator.recv(msg) }
+  }
+  return messages
+}
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("handshake: matches the messages of an independent implementation", t => {
+  const v = KNOWN_ANSWER
+  const cabalKey = b4a.from(v.cabalKey, "hex")
+  const alice = crypto.generateKeypair(b4a.from(v.initiatorSeed, "hex"))
+  const bob = crypto.generateKeypair(b4a.from(v.responderSeed, "hex"))
+  const initiator = fixedEphemeral(new Handshake({ initiator: true, keypair: alice, cabalKey }), v.initiatorEphemeral)
+  const responder = fixedEphemeral(new Handshake({ initiator: false, keypair: bob, cabalKey }), v.responderEphemeral)
+
+  const messages = runHandshake(initiator, responder)
+  t.deepEqual(messages.map(msg => b4a.toString(msg, "hex")), v.messages, "handshake messages should match")
+  t.deepEqual(responder.remotePublicKey, alice.publicKey, "responder should learn the initiator's public key")
+  t.deepEqual(initiator.remotePublicKey, bob.publicKey, "initiator should learn the responder's public key")
+
+  const ad = b4a.alloc(0)
+  const sent = ["hello", "bob"].map(text => b4a.toString(initiator.tx.encrypt(ad, b4a.from(text)), "hex"))
+  t.deepEqual(sent, v.initiatorToResponder, "initiator's transport messages should match")
+  t.deepEqual(b4a.toString(responder.tx.encrypt(ad, b4a.from("hi alice")), "hex"), v.responderToInitiator[0], "responder's transport message should match")
+  for (const [name, handshake] of [["initiator", initiator], ["responder", responder]]) {
+    t.true(handshake._e.secretKey.every(byte => byte === 0), `${name}'s ephemeral secret should be zeroed`)
+    t.true(handshake._s.secretKey.every(byte => byte === 0), `${name}'s static secret should be zeroed`)
+  }
+  t.end()
+})
+
+test("handshake: rejects a payload that isn't the peer's ed25519 public key", t => {
+  const cabalKey = crypto.randomBytes(32)
+  const payloads = [
+    [b4a.alloc(16, 1), errors.codes.INVALID_TYPE, "payload of the wrong size should be rejected"],
+    [crypto.generateKeypair().publicKey, errors.codes.UNKNOWN_VALUE, "someone else's public key should be rejected"]
+  ]
+  for (const [payload, code, message] of payloads) {
+    const initiator = new Handshake({ initiator: true, keypair: crypto.generateKeypair(), cabalKey })
+    const responder = new Handshake({ initiator: false, keypair: crypto.generateKeypair(), cabalKey })
+    responder.recv(initiator.send())
+    // the responder sends its ed25519 public key as the payload of the second message
+    responder._publicKey = payload
+    const err = caught(() => initiator.recv(responder.send()))
+    t.true(err instanceof errors.CableDecodeError, "should be a decode error")
+    t.equal(err && err.code, code, message)
+  }
+  t.end()
+})
+
+test("handshake: peers learn each other's public key and share transport keys", t => {
+  const cabalKey = crypto.randomBytes(32)
+  const alice = crypto.generateKeypair()
+  const bob = crypto.generateKeypair()
+  const initiator = new Handshake({ initiator: true, keypair: alice, cabalKey })
+  const responder = new Handshake({ initiator: false, keypair: bob, cabalKey })
+  t.equal(responder.send(), null, "responder should wait for the initiator")
+
+  const messages = runHandshake(initiator, responder)
+  t.deepEqual(messages.map(msg => msg.length), [48, 128, 96], "messages should have the sizes of XXpsk0 with 32-byte payloads")
+  t.deepEqual(initiator.remotePublicKey, bob.publicKey, "initiator should learn the responder's public key")
+  t.deepEqual(responder.remotePublicKey, alice.publicKey, "responder should learn the initiator's public key")
+
+  const ad = b4a.alloc(0)
+  const ciphertext = initiator.tx.encrypt(ad, b4a.from("hello"))
+  t.notDeepEqual(ciphertext.subarray(0, 5), b4a.from("hello"), "transport should be encrypted")
+  t.equal(b4a.toString(responder.rx.decrypt(ad, ciphertext)), "hello", "responder should decrypt the initiator's messages")
+  t.equal(b4a.toString(initiator.rx.decrypt(ad, responder.tx.encrypt(ad, b4a.from("hi")))), "hi", "initiator should decrypt the responder's messages")
+
+  const replayed = caught(() => responder.rx.decrypt(ad, ciphertext))
+  t.equal(replayed.code, errors.codes.DECRYPTION_FAILED, "replayed message should fail to decrypt")
+  t.end()
+})
+
+test("handshake: fails without the cabal key or with altered messages", t => {
+  const alice = crypto.generateKeypair()
+  const bob = crypto.generateKeypair()
+  const initiator = new Handshake({ initiator: true, keypair: alice, cabalKey: crypto.randomBytes(32) })
+  const responder = new Handshake({ initiator: false, keypair: bob, cabalKey: crypto.randomBytes(32) })
+  const err = caught(() => responder.recv(initiator.send()))
+  t.true(err instanceof errors.CableDecodeError, "wrong cabal key should be a decode error")
+  t.equal(err.code, errors.codes.DECRYPTION_FAILED, "wrong cabal key should fail to decrypt the first message")
+
+  const cabalKey = crypto.randomBytes(32)
+  const a = new Handshake({ initiator: true, keypair: alice, cabalKey })
+  const b = new Handshake({ initiator: false, keypair: bob, cabalKey })
+  b.recv(a.send())
+  const msg = b.send()
+  msg[40] ^= 1
+  t.equal(caught(() => a.recv(msg)).code, errors.codes.DECRYPTION_FAILED, "altered message should fail to decrypt")
+  t.equal(caught(() => a.recv(msg.subarray(0, 20))).code, errors.codes.TRUNCATED, "truncated message should be signalled")
+  t.true(caught(() => b.recv(msg)) instanceof errors.CableDecodeError, "message out of turn should throw")
+  t.true(caught(() => new Handshake({ initiator: true, keypair: alice, cabalKey: b4a.alloc(3) })) instanceof errors.CableEncodeError, "cabal key of the wrong size should throw")
+  t.end()
+})
+
+test("secureStream(): messages travel encrypted between peers", async t => {
+  const cabalKey = crypto.randomBytes(32)
+  const alice = crypto.generateKeypair()
+  const bob = crypto.generateKeypair()
+  const [aliceSocket, bobSocket] = duplexPair()
+  const wire = []
+  aliceSocket.on("data", chunk => wire.push(chunk))
+
+  const [aliceStream, bobStream] = await Promise.all([
+    secureStream(aliceSocket, { initiator: true, keypair: alice, cabalKey }),
+    secureStream(bobSocket, { initiator: false, keypair: bob, cabalKey })
+  ])
+  t.deepEqual(aliceStream.remotePublicKey, bob.publicKey, "initiator should learn the responder's public key")
+  t.deepEqual(bobStream.remotePublicKey, alice.publicKey, "responder should learn the initiator's public key")
+
+  const hashes = [crypto.hash(b4a.from("post"))]
+  const messages = [
+    cable.POST_REQUEST.create(crypto.generateReqID(), 3, hashes),
+    // larger than a single transport segment
+    cable.POST_RESPONSE.create(crypto.generateReqID(), [cable.TEXT_POST.create(alice.publicKey, alice.secretKey, [], "default", 0, "x".repeat(4096))].concat(new Array(20).fill(b4a.alloc(4000, 1))))
+  ]
+  t.true(messages[1].length > MAX_PLAINTEXT_SIZE, "second message should span several segments")
+  // bob has nothing to send: end his side up front, since reading a stream to its end with for await destroys it
+  bobStream.end()
+  const received = (async () => {
+    const frames = []
+    for await (const frame of framing.decodeFrames(bobStream)) { frames.push(frame) }
+    return frames
+  })()
+  const writer = new framing.FrameWriter(aliceStream)
+  for (const msg of messages) { await writer.write(msg) }
+  await writer.end()
+
+  t.deepEqual(await received, messages, "responder should receive the messages, then the end of the stream")
+  t.false(b4a.concat(wire).includes(messages[0].subarray(8)), "messages should not appear on the wire in the clear")
+})
+
+test("secureStream(): a write waiting for the stream to drain fails if the stream closes instead", async t => {
+  const cabalKey = crypto.randomBytes(32)
+  const alice = crypto.generateKeypair()
+  const bob = crypto.generateKeypair()
+  const [aliceConn, bobConn] = duplexPair()
+  const [aliceStream, bobStream] = await Promise.all([
+    secureStream(aliceConn, { initiator: true, keypair: alice, cabalKey }),
+    secureStream(bobConn, { initiator: false, keypair: bob, cabalKey })
+  ])
+  aliceStream.on("error", () => {})
+  bobStream.on("error", () => {})
+  // the connection stops accepting data, so the write waits for a drain that the close preempts
+  aliceConn._write = () => {}
+  const written = new Promise(resolve => aliceStream.write(b4a.alloc(MAX_PLAINTEXT_SIZE, 1), resolve))
+  aliceConn.destroy()
+  const err = await written
+  t.equal(err && err.code, errors.codes.STREAM_CLOSED, "the write should fail rather than hang")
+  t.equal(aliceConn.listenerCount("drain"), 0, "no drain listener should be left behind")
+  bobStream.destroy()
+})
+
+test("secureStream(): rejects peers without the cabal key, and streams cut off", async t => {
+  const alice = crypto.generateKeypair()
+  const bob = crypto.generateKeypair()
+  const [aliceSocket, bobSocket] = duplexPair()
+  const results = await Promise.allSettled([
+    secureStream(aliceSocket, { initiator: true, keypair: alice, cabalKey: crypto.randomBytes(32) }),
+    secureStream(bobSocket, { initiator: false, keypair: bob, cabalKey: crypto.randomBytes(32) })
+  ])
+  t.equal(results[1].reason.code, errors.codes.DECRYPTION_FAILED, "responder should reject the initiator")
+  t.equal(results[0].status, "rejected", "initiator should fail too")
+  t.true(bobSocket.destroyed, "failing the handshake should destroy the stream")
+
+  const cabalKey = crypto.randomBytes(32)
+  const [aliceConn, bobConn] = duplexPair()
+  const [aliceStream, bobStream] = await Promise.all([
+    secureStream(aliceConn, { initiator: true, keypair: alice, cabalKey }),
+    secureStream(bobConn, { initiator: false, keypair: bob, cabalKey })
+  ])
+  const failed = new Promise(resolve => bobStream.on("error", resolve))
+  // bob's side failing tears down the connection, cutting off alice's side in turn
+  aliceStream.on("error", () => {})
+  bobStream.resume()
+  aliceStream.write(b4a.from("partial"))
+  // end the raw connection rather than the secure stream: no end marker is sent
+  aliceConn.end()
+  t.equal((await failed).code, errors.codes.TRUNCATED, "stream cut off should be signalled")
+  aliceStream.destroy()
+})
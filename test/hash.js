@@ -0,0 +1,89 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("hashPost() returns the hash of a post", t => {
+  const keypair = crypto.generateKeypair()
+  const buf = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hello")
+  t.deepEqual(cable.hashPost(buf), crypto.hash(buf), "hashPost should match crypto.hash")
+  t.throws(() => cable.hashPost(b4a.alloc(10)), errors.CableEncodeError, "buffer too short to be a post should throw")
+  t.throws(() => cable.hashPost("post"), errors.CableEncodeError, "a string should throw")
+  t.end()
+})
+
+test("{ hash: true } includes the hash of decoded posts", t => {
+  const keypair = crypto.generateKeypair()
+  const buf = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+  const hash = cable.hashPost(buf)
+  t.deepEqual(cable.parsePost(buf, { hash: true }).hash, hash, "parsePost should include the hash")
+  t.deepEqual(cable.JOIN_POST.toJSON(buf, { hash: true }).hash, hash, "toJSON should include the hash")
+  t.deepEqual(cable.parsePost(buf, { hash: true, lenient: true }).value.hash, hash, "hash should combine with lenient")
+  t.equal(cable.parsePost(buf).hash, undefined, "hash should be left out by default")
+  t.deepEqual(cable.encode(cable.parsePost(buf, { hash: true })), buf, "encoding should ignore the hash")
+
+  const trailing = cable.parsePost(b4a.concat([buf, b4a.from([0])]), { hash: true, allowTrailingBytes: true, verify: false })
+  t.deepEqual(trailing.hash, hash, "trailing bytes should not be part of the hash")
+  t.end()
+})
+
+test("POST_RESPONSE with { hash: true } pairs posts with their hashes", t => {
+  const keypair = crypto.generateKeypair()
+  const posts = [0, 1].map(i => cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", i))
+  const reqid = crypto.generateReqID()
+  const buf = cable.POST_RESPONSE.create(reqid, posts)
+
+  const obj = cable.POST_RESPONSE.toJSON(buf, { hash: true })
+  t.deepEqual(obj.posts, posts.map(post => ({ hash: cable.hashPost(post), post })), "posts should be { hash, post } pairs")
+  t.deepEqual(cable.parseMessage(buf, { hash: true }).posts, obj.posts, "parseMessage should pass the option on")
+  t.deepEqual(cable.POST_RESPONSE.toJSON(buf).posts, posts, "posts should be bare buffers by default")
+  t.deepEqual(cable.encode(cable.parseMessage(buf, { hash: true })), buf, "pairs should encode back to the same bytes")
+  t.deepEqual(cable.POST_RESPONSE.fromJSON(obj), buf, "fromJSON should take the pairs as well")
+  t.deepEqual(cable.HASH_RESPONSE.toJSON(cable.HASH_RESPONSE.create(reqid, [cable.hashPost(posts[0])]), { hash: true }).hashes, [cable.hashPost(posts[0])], "other messages should ignore the option")
+  t.end()
+})
+
+test("correlatePostResponse() matches posts to the hashes requested", t => {
+  const keypair = crypto.generateKeypair()
+  const posts = [0, 1, 2, 3].map(i => cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", i))
+  const hashes = posts.map(post => cable.hashPost(post))
+  const reqid = crypto.generateReqID()
+  const request = cable.POST_REQUEST.create(reqid, 0, hashes.slice(0, 3))
+  // posts[1] was never sent, posts[3] was never asked for, and posts[0] was sent twice
+  const response = cable.POST_RESPONSE.create(reqid, [posts[0], posts[2], posts[3], posts[0]])
+
+  const result = cable.correlatePostResponse(request, response)
+  t.deepEqual(result.satisfied, [{ hash: hashes[0], post: posts[0] }, { hash: hashes[2], post: posts[2] }], "satisfied should list the requested posts received")
+  t.deepEqual(result.missing, [hashes[1]], "missing should list the requested hashes without a post")
+  t.deepEqual(result.unsolicited, [{ hash: hashes[3], post: posts[3] }, { hash: hashes[0], post: posts[0] }], "unsolicited should list posts not asked for and duplicates")
+
+  const decoded = cable.correlatePostResponse(cable.POST_REQUEST.toJSON(request), cable.POST_RESPONSE.toJSON(response, { hash: true }))
+  t.deepEqual(decoded, result, "decoded request and response should correlate the same")
+  t.deepEqual(cable.correlatePostResponse(hashes.slice(0, 3), [posts[0], posts[2], posts[3], posts[0]]), result, "arrays should correlate the same")
+  t.end()
+})
+
+test("correlatePostResponse() rejects mismatched and malformed input", t => {
+  const keypair = crypto.generateKeypair()
+  const post = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+  const request = cable.POST_REQUEST.create(crypto.generateReqID(), 0, [cable.hashPost(post)])
+  const response = cable.POST_RESPONSE.create(crypto.generateReqID(), [post])
+  t.throws(() => cable.correlatePostResponse(request, response), errors.CableValidationError, "responses to another request should throw")
+  t.equal(caught(() => cable.correlatePostResponse(request, response)).code, errors.codes.REQID_MISMATCH, "code should signal the reqid mismatch")
+  t.throws(() => cable.correlatePostResponse(response, response), errors.CableDecodeError, "a POST_RESPONSE in place of the request should throw")
+  t.throws(() => cable.correlatePostResponse({}, [post]), errors.CableEncodeError, "request without hashes should throw")
+  t.throws(() => cable.correlatePostResponse([b4a.alloc(3)], [post]), errors.CableEncodeError, "malformed hashes should throw")
+  t.throws(() => cable.correlatePostResponse([], "posts"), errors.CableEncodeError, "response without posts should throw")
+  t.end()
+})
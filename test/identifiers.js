@@ -0,0 +1,62 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const ids = require("../identifiers")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("public keys and post hashes round trip through identifiers", t => {
+  const keypair = crypto.generateKeypair()
+  const post = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+  const hash = cable.hashPost(post)
+
+  const key = ids.encodePublicKey(keypair.publicKey)
+  t.true(/^key_[a-z2-7]{58}$/.test(key), "key identifier should be prefixed base32")
+  t.deepEqual(ids.decodePublicKey(key), keypair.publicKey, "key identifier should decode to the public key")
+  t.deepEqual(ids.decodePublicKey(`  ${key.toUpperCase()}\n`), keypair.publicKey, "case and surrounding whitespace should not matter")
+
+  const postId = ids.encodePostHash(hash)
+  t.true(postId.startsWith("post_"), "post identifier should be prefixed")
+  t.deepEqual(ids.decodePostHash(postId), hash, "post identifier should decode to the hash")
+  t.deepEqual(ids.parseIdentifier(postId), { type: "post", bytes: hash }, "parseIdentifier should report the type")
+
+  // rfc 4648 base32, followed by the first 4 bytes of the blake2b hash of the prefix and the bytes
+  t.equal(ids.encodePublicKey(b4a.alloc(32, 7)), "key_a4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4d5xff7n4", "encoding should be stable")
+  t.end()
+})
+
+test("malformed identifiers are rejected", t => {
+  const key = ids.encodePublicKey(crypto.generateKeypair().publicKey)
+  const typo = key.slice(0, 10) + (key[10] === "a" ? "b" : "a") + key.slice(11)
+  t.equal(caught(() => ids.decodePublicKey(typo)).code, errors.codes.INVALID_CHECKSUM, "typo should fail the checksum")
+  t.equal(caught(() => ids.decodePostHash(key)).code, errors.codes.WRONG_TYPE, "key passed as a post should be the wrong type")
+  t.equal(caught(() => ids.parseIdentifier(`post_${key.slice(4)}`)).code, errors.codes.INVALID_CHECKSUM, "relabeled identifier should fail the checksum")
+  t.equal(caught(() => ids.parseIdentifier(`user_${key.slice(4)}`)).code, errors.codes.UNKNOWN_VALUE, "unknown prefix should be signalled")
+  t.equal(caught(() => ids.parseIdentifier(key.slice(4))).code, errors.codes.UNKNOWN_VALUE, "missing prefix should be signalled")
+  t.equal(caught(() => ids.decodePublicKey(key.slice(0, -2))).code, errors.codes.LENGTH_MISMATCH, "truncated identifier should be signalled")
+  t.equal(caught(() => ids.decodePublicKey(key.slice(0, -1) + "1")).code, errors.codes.INVALID_TYPE, "characters outside of base32 should be signalled")
+  t.equal(caught(() => ids.decodePublicKey(key + "a")).code, errors.codes.INVALID_TYPE, "trailing character holding only padding should be rejected")
+  t.true(caught(() => ids.decodePublicKey(42)) instanceof errors.CableEncodeError, "non-string should throw")
+  t.true(caught(() => ids.encodePublicKey(b4a.alloc(3))) instanceof errors.CableEncodeError, "buffer of the wrong size should throw")
+  t.end()
+})
+
+test("fingerprint() derives a short form for display", t => {
+  const keypair = crypto.generateKeypair()
+  const print = ids.fingerprint(keypair.publicKey)
+  t.true(/^[a-z2-7]{4}(-[a-z2-7]{4}){3}$/.test(print), "fingerprint should be four groups of four characters")
+  t.equal(ids.fingerprint(ids.encodePublicKey(keypair.publicKey)), print, "identifier and buffer should have the same fingerprint")
+  t.notEqual(ids.fingerprint(crypto.generateKeypair().publicKey), print, "other keys should have other fingerprints")
+  t.true(caught(() => ids.fingerprint(b4a.alloc(3))) instanceof errors.CableEncodeError, "buffer of the wrong size should throw")
+  t.end()
+})
@@ -0,0 +1,53 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const constants = require("../constants")
+const errors = require("../errors")
+const invites = require("../invites")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("cabal keys are generated and written as hex", t => {
+  const key = invites.generateCabalKey()
+  t.equal(key.length, constants.CABAL_KEY_SIZE, "key should be of the cabal key size")
+  t.notDeepEqual(invites.generateCabalKey(), key, "keys should be random")
+  t.deepEqual(invites.parseCabalKey(invites.encodeCabalKey(key)), key, "hex key should parse back")
+  t.deepEqual(invites.parseCabalKey(`cabal://${invites.encodeCabalKey(key)}`), key, "key should parse from an invite too")
+  t.true(caught(() => invites.encodeCabalKey(b4a.alloc(3))) instanceof errors.CableEncodeError, "key of the wrong size should throw")
+  t.end()
+})
+
+test("invites round trip with their hints", t => {
+  const key = invites.generateCabalKey()
+  const hex = b4a.toString(key, "hex")
+  t.equal(invites.createInvite(key), `cabal://${hex}`, "invite without hints should be the bare uri")
+
+  const uri = invites.createInvite(key, { channels: ["default", "dev chat"], peers: ["192.0.2.1:13331"] })
+  t.equal(uri, `cabal://${hex}?channel=default&channel=dev+chat&peer=192.0.2.1%3A13331`, "hints should be query parameters")
+  t.deepEqual(invites.parseInvite(uri), { key, channels: ["default", "dev chat"], peers: ["192.0.2.1:13331"] }, "invite should parse back")
+  t.deepEqual(invites.parseInvite(` CABAL://${hex.toUpperCase()}/?channel=a&future=1\n`), { key, channels: ["a"], peers: [] }, "case, trailing slash and unknown hints should be tolerated")
+  t.deepEqual(invites.parseInvite(hex).key, key, "bare hex key should parse")
+  t.end()
+})
+
+test("malformed invites are rejected", t => {
+  const hex = b4a.toString(invites.generateCabalKey(), "hex")
+  let err = caught(() => invites.parseInvite(`https://${hex}`))
+  t.true(err instanceof errors.CableDecodeError, "other schemes should be a decode error")
+  t.equal(err.code, errors.codes.UNKNOWN_VALUE, "other schemes should be signalled")
+  t.equal(caught(() => invites.parseInvite(`cabal://${hex.slice(2)}`)).field, "key", "short key should be signalled")
+  t.equal(caught(() => invites.parseInvite(`cabal://${hex.slice(2)}zz`)).code, errors.codes.INVALID_TYPE, "non-hex key should be signalled")
+  err = caught(() => invites.parseInvite(`cabal://${hex}?channel=`))
+  t.true(err instanceof errors.CableValidationError, "invalid channel name should be a validation error")
+  t.true(caught(() => invites.parseInvite(42)) instanceof errors.CableEncodeError, "non-string should throw")
+  t.true(caught(() => invites.createInvite(b4a.from(hex, "hex"), { channels: "default" })) instanceof errors.CableEncodeError, "hints should be arrays")
+  t.true(caught(() => invites.createInvite(b4a.from(hex, "hex"), { peers: [""] })) instanceof errors.CableEncodeError, "empty peers should throw")
+  t.end()
+})
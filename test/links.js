@@ -0,0 +1,87 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const { LinkTracker } = require("../links")
+const b4a = require("b4a")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("link tracker: heads follow the posts of a channel", t => {
+  const keypair = crypto.generateKeypair()
+  const tracker = new LinkTracker()
+  t.deepEqual(tracker.links("default"), [], "unknown channel should have no links")
+
+  const first = cable.TEXT_POST.build(tracker.fill({ keypair, channel: "default", timestamp: 1, text: "first" }))
+  t.true(tracker.add(first), "post buffer should be added")
+  t.false(tracker.add(first), "adding a post twice should be reported")
+  t.deepEqual(tracker.links("default"), [cable.hashPost(first)], "first post should be the head")
+
+  const second = cable.TEXT_POST.build(tracker.fill({ keypair, channel: "default", timestamp: 2, text: "second" }))
+  t.deepEqual(cable.parsePost(second).links, [cable.hashPost(first)], "fill should link the new post to the heads")
+  tracker.add(cable.parsePost(second, { hash: true }))
+  t.deepEqual(tracker.links("default"), [cable.hashPost(second)], "linked post should no longer be a head")
+
+  // another peer posting concurrently, unaware of the second post
+  const concurrent = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [cable.hashPost(first)], "default", 3, "concurrent")
+  tracker.add(cable.parsePost(concurrent), cable.hashPost(concurrent))
+  t.deepEqual(tracker.links("default"), [cable.hashPost(concurrent), cable.hashPost(second)], "concurrent posts should both be heads, newest first")
+  t.true(tracker.has(cable.hashPost(concurrent)), "has should report added posts")
+  t.end()
+})
+
+test("link tracker: channels and the cabal-wide context are separate", t => {
+  const keypair = crypto.generateKeypair()
+  const tracker = new LinkTracker()
+  const join = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "dev", 1)
+  const info = cable.INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 2, [["name", "alice"]])
+  const role = cable.ROLE_POST.create(keypair.publicKey, keypair.secretKey, [cable.hashPost(info)], "", 3, keypair.publicKey, constants.ADMIN_FLAG, "", 0)
+  tracker.add(join)
+  tracker.add(info)
+  tracker.add(role)
+  t.deepEqual(tracker.links("dev"), [cable.hashPost(join)], "channel should have its own heads")
+  t.deepEqual(tracker.links(), [cable.hashPost(role)], "posts without a channel should share the cabal-wide context")
+  t.deepEqual(tracker.links(""), tracker.links(), "empty channel should be the cabal-wide context")
+  t.deepEqual(tracker.fill({ channel: "dev", links: [] }).links, [], "links that were set should be kept")
+  t.end()
+})
+
+test("link tracker: posts arriving out of order", t => {
+  const keypair = crypto.generateKeypair()
+  const posts = []
+  for (let i = 0; i < 3; i++) {
+    const links = i === 0 ? [] : [cable.hashPost(posts[i - 1])]
+    posts.push(cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, "default", i, `post ${i}`))
+  }
+  const tracker = new LinkTracker()
+  tracker.add(posts[2])
+  tracker.add(posts[1])
+  t.deepEqual(tracker.links("default"), [cable.hashPost(posts[2])], "post linked by a post added earlier should not be a head")
+  tracker.add(posts[0])
+  t.deepEqual(tracker.links("default"), [cable.hashPost(posts[2])], "heads should be the same as for posts arriving in order")
+
+  const gap = new LinkTracker()
+  gap.add(posts[2])
+  gap.add(posts[0])
+  t.deepEqual(gap.links("default"), [cable.hashPost(posts[2]), cable.hashPost(posts[0])], "post whose successor is missing should still be a head")
+  gap.add(posts[1])
+  t.deepEqual(gap.links("default"), [cable.hashPost(posts[2])], "missing post arriving should resolve the heads")
+
+  const capped = new LinkTracker({ maxLinks: 1 })
+  capped.add(posts[0])
+  capped.add(cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 5, "unrelated"))
+  t.equal(capped.heads("default").length, 2, "heads should list every head")
+  t.equal(capped.links("default").length, 1, "links should be capped at maxLinks")
+
+  t.throws(() => tracker.add({ links: [] }), errors.CableEncodeError, "decoded post without a hash should throw")
+  t.throws(() => tracker.add(b4a.alloc(10)), errors.CableDecodeError, "malformed buffer should throw")
+  t.end()
+})
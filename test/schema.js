@@ -0,0 +1,97 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const codec = require("../codec")
+const schemas = require("../schemas")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const validation = require("../validation")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("every type has a schema, matching its create() arguments", t => {
+  for (const name in schemas) {
+    t.true(cable[name], `${name} should be exported`)
+    t.equal(schemas[name].args.length, cable[name].create.length, `${name} schema should list every create() argument`)
+  }
+  t.end()
+})
+
+test("schemas derive an encoder and decoder for new layouts", t => {
+  const schema = codec.messageSchema("CHANNEL_STATE_REQUEST", ["reqid", "ttl", "channel", "future"], [
+    codec.varintField("ttl"),
+    codec.stringField("channel", { check: validation.checkChannelName }),
+    codec.varintField("future", { check: validation.checkFuture })
+  ])
+  const reqid = crypto.generateReqID()
+  const buf = codec.encode(schema, { reqid, ttl: 3, channel: "default", future: 1 })
+  t.deepEqual(buf, cable.CHANNEL_STATE_REQUEST.create(reqid, 3, "default", 1), "should encode like the hand-written layout")
+  const obj = codec.decode(schema, buf)
+  t.equal(obj.channel, "default", "channel should decode")
+  t.equal(obj.future, 1, "future should decode")
+  t.equal(obj.msgLen, buf.length - 1, "msgLen should cover everything but itself")
+  t.end()
+})
+
+test("encoded buffers are exactly sized", t => {
+  const keypair = crypto.generateKeypair()
+  const post = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hi")
+  // 32 public key + 64 signature + 1 numLinks + 1 postType + 1 timestamp + 1 + 7 channel + 1 + 2 text
+  t.equal(post.length, 110, "post/text should have no slack")
+
+  // a post large enough for each postLen to take two varint bytes
+  const large = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "a".repeat(200))
+  const response = cable.POST_RESPONSE.create(crypto.generateReqID(), [large, post])
+  const obj = cable.POST_RESPONSE.toJSON(response)
+  t.equal(obj.msgType, constants.POST_RESPONSE, "msgType should be POST_RESPONSE")
+  t.deepEqual(obj.posts, [large, post], "posts should round-trip")
+  t.end()
+})
+
+test("post/info accepts a Map as well as [key, value] pairs", t => {
+  const keypair = crypto.generateKeypair()
+  const pairs = cable.INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["name", "alice"], ["accept-role", 1]])
+  const map = cable.INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, new Map([["name", "alice"], ["accept-role", 1]]))
+  t.deepEqual(pairs, map, "pairs and Map should encode identically")
+  const info = cable.INFO_POST.toJSON(map).info
+  t.equal(info.get("name"), "alice", "name should decode")
+  t.equal(info.get("accept-role"), 1, "accept-role should decode")
+
+  const err = caught(() => cable.INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, 3))
+  t.true(err instanceof errors.CableEncodeError, "info that isn't a list of pairs should be an encode error")
+  t.equal(err.field, "info", "field should be info")
+  t.end()
+})
+
+test("varint fields reject negative numbers when encoding", t => {
+  const err = caught(() => cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 3, -1, 20))
+  t.true(err instanceof errors.CableEncodeError, "negative offset should be an encode error")
+  t.equal(err.field, "offset", "field should be offset")
+  t.end()
+})
+
+test("moderation state requests check ttl like every other request", t => {
+  const err = caught(() => cable.MODERATION_STATE_REQUEST.create(crypto.generateReqID(), 17, ["default"], 0, 0))
+  t.true(err instanceof errors.CableValidationError, "ttl above 16 should be a validation error")
+  t.equal(err.field, "ttl", "field should be ttl")
+  t.end()
+})
+
+test("zero-terminated lists must be terminated", t => {
+  const buf = cable.CHANNEL_LIST_RESPONSE.create(crypto.generateReqID(), ["default"])
+  // drop the terminating zero, and fix up msgLen to match
+  const unterminated = b4a.concat([b4a.from([buf[0] - 1]), buf.subarray(1, buf.length - 1)])
+  const err = caught(() => cable.CHANNEL_LIST_RESPONSE.toJSON(unterminated))
+  t.true(err instanceof errors.CableDecodeError, "missing terminator should be a decode error")
+  t.equal(err.code, errors.codes.TRUNCATED, "code should signal truncation")
+  t.end()
+})
@@ -0,0 +1,137 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const { KeypairSigner } = require("../signers")
+const { startKeyAgent } = require("../testutils/key-agent")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("a signer can be passed in place of the secret key", t => {
+  const keypair = crypto.generateKeypair()
+  const signer = new KeypairSigner(keypair)
+  const withKey = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hi")
+  const withSigner = cable.TEXT_POST.create(signer.publicKey, signer, [], "default", 0, "hi")
+  t.deepEqual(withSigner, withKey, "ed25519 signatures are deterministic, so both posts should be identical")
+
+  const built = cable.JOIN_POST.build({ signer, channel: "default", timestamp: 0 })
+  t.deepEqual(built, cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0), "build() should accept a signer")
+
+  const payload = withKey.subarray(constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE)
+  t.deepEqual(crypto.signDetached(payload, keypair.secretKey), withKey.subarray(constants.PUBLICKEY_SIZE, constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE), "signDetached should produce the post's signature")
+  t.end()
+})
+
+test("create() rejects async and misbehaving signers", t => {
+  const keypair = crypto.generateKeypair()
+  const asyncSigner = { publicKey: keypair.publicKey, sign: async (payload) => crypto.signDetached(payload, keypair.secretKey) }
+  let err = caught(() => cable.TEXT_POST.create(keypair.publicKey, asyncSigner, [], "default", 0, "hi"))
+  t.true(err instanceof errors.CableEncodeError, "async signer should be an encode error with create()")
+  t.true(/createAsync/.test(err.message), "error should point to createAsync()")
+
+  const shortSigner = { publicKey: keypair.publicKey, sign: () => b4a.alloc(10) }
+  err = caught(() => cable.TEXT_POST.create(keypair.publicKey, shortSigner, [], "default", 0, "hi"))
+  t.equal(err.field, "signature", "signature of the wrong size should be an encode error")
+
+  const otherSigner = new KeypairSigner(crypto.generateKeypair())
+  err = caught(() => cable.TEXT_POST.create(keypair.publicKey, otherSigner, [], "default", 0, "hi"))
+  t.true(err instanceof errors.CableSignatureError, "signer of another key should fail to verify")
+  t.end()
+})
+
+test("create() leaves no unhandled rejection behind when an async signer fails later", async t => {
+  const keypair = crypto.generateKeypair()
+  const failingSigner = {
+    publicKey: keypair.publicKey,
+    sign: () => new Promise((resolve, reject) => setTimeout(() => reject(new Error("agent down")), 10))
+  }
+  const unhandled = []
+  const onUnhandled = (reason) => unhandled.push(reason)
+  process.on("unhandledRejection", onUnhandled)
+  try {
+    const err = caught(() => cable.TEXT_POST.create(keypair.publicKey, failingSigner, [], "default", 0, "hi"))
+    t.true(err instanceof errors.CableEncodeError, "async signer should be an encode error with create()")
+    await new Promise(resolve => setTimeout(resolve, 50))
+  } finally {
+    process.removeListener("unhandledRejection", onUnhandled)
+  }
+  t.deepEqual(unhandled, [], "the signer's rejection should not go unhandled")
+})
+
+test("createAsync() and buildAsync() await the signer", async t => {
+  const keypair = crypto.generateKeypair()
+  const asyncSigner = { publicKey: keypair.publicKey, sign: async (payload) => crypto.signDetached(payload, keypair.secretKey) }
+  const buf = await cable.TOPIC_POST.createAsync(keypair.publicKey, asyncSigner, [], "default", 0, "topic")
+  t.deepEqual(buf, cable.TOPIC_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "topic"), "createAsync should produce the same post")
+  const built = await cable.TOPIC_POST.buildAsync({ signer: asyncSigner, channel: "default", timestamp: 0, topic: "topic" })
+  t.deepEqual(built, buf, "buildAsync should produce the same post")
+
+  try {
+    await cable.TOPIC_POST.createAsync(keypair.publicKey, asyncSigner, [], "default", 0)
+    t.fail("missing argument should reject")
+  } catch (err) {
+    t.true(err instanceof errors.CableEncodeError, "missing argument should reject with an encode error")
+  }
+})
+
+test("posts can be signed by a key agent in another process", async t => {
+  const keypair = crypto.generateKeypair()
+  const agent = startKeyAgent(keypair)
+  try {
+    const buf = await cable.TEXT_POST.createAsync(agent.publicKey, agent, [], "default", 0, "signed elsewhere")
+    t.equal(cable.TEXT_POST.toJSON(buf).text, "signed elsewhere", "post signed by the agent should decode and verify")
+    const posts = await Promise.all([1, 2, 3].map(i => cable.JOIN_POST.buildAsync({ signer: agent, channel: "default", timestamp: i })))
+    t.deepEqual(posts.map(post => cable.JOIN_POST.toJSON(post).timestamp), [1, 2, 3], "concurrent requests should each get their own signature")
+  } finally {
+    await agent.close()
+  }
+})
+
+test("posts can be built unsigned and signed later", t => {
+  const keypair = crypto.generateKeypair()
+  const unsigned = cable.BLOCK_POST.createUnsigned(keypair.publicKey, [], 0, [keypair.publicKey], 1, 0, "", 0)
+  t.deepEqual(unsigned.subarray(0, constants.PUBLICKEY_SIZE), keypair.publicKey, "unsigned post should start with the public key")
+  t.deepEqual(unsigned.subarray(constants.PUBLICKEY_SIZE, constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE), b4a.alloc(constants.SIGNATURE_SIZE), "signature should be zeroed out")
+  const copy = b4a.from(unsigned)
+  t.true(caught(() => cable.BLOCK_POST.toJSON(unsigned)) instanceof errors.CableSignatureError, "unsigned post should not verify")
+  t.deepEqual(unsigned, copy, "failing to verify should leave the post untouched")
+
+  // e.g. on another machine, holding the secret key
+  const signature = crypto.signDetached(cable.signingPayload(unsigned), keypair.secretKey)
+  const signed = cable.attachSignature(unsigned, signature)
+  t.deepEqual(signed, cable.BLOCK_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [keypair.publicKey], 1, 0, "", 0), "attaching the signature should yield the signed post")
+  t.deepEqual(unsigned.subarray(constants.PUBLICKEY_SIZE, constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE), b4a.alloc(constants.SIGNATURE_SIZE), "the unsigned post should be left as is")
+
+  // cryptography.sign signs the post in place, and works on unsigned posts too
+  const inPlace = b4a.from(unsigned)
+  crypto.sign(inPlace, keypair.secretKey)
+  t.deepEqual(inPlace, signed, "signing in place should match")
+  t.true(crypto.verify(signed, keypair.publicKey), "cryptography.verify should accept the signed post")
+  t.end()
+})
+
+test("attachSignature() rejects signatures that don't verify", t => {
+  const keypair = crypto.generateKeypair()
+  const unsigned = cable.JOIN_POST.buildUnsigned({ keypair, channel: "default", timestamp: 0 })
+  t.deepEqual(unsigned, cable.JOIN_POST.createUnsigned(keypair.publicKey, [], "default", 0), "buildUnsigned should match createUnsigned")
+  const other = crypto.generateKeypair()
+  let err = caught(() => cable.attachSignature(unsigned, crypto.signDetached(cable.signingPayload(unsigned), other.secretKey)))
+  t.true(err instanceof errors.CableSignatureError, "signature by another key should be a signature error")
+  err = caught(() => cable.attachSignature(unsigned, b4a.alloc(3)))
+  t.true(err instanceof errors.CableEncodeError, "signature of the wrong size should be an encode error")
+  err = caught(() => cable.signingPayload(b4a.alloc(10)))
+  t.true(err instanceof errors.CableEncodeError, "buffer too short to be a post should be an encode error")
+  err = caught(() => cable.JOIN_POST.createUnsigned(keypair.publicKey, keypair.secretKey, [], "default", 0))
+  t.equal(err.code, errors.codes.ARGUMENT_COUNT, "createUnsigned should not take a secretKey")
+  t.end()
+})
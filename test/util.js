@@ -0,0 +1,102 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const sodium = require("sodium-universal")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const util = require("../util")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+// keeps the tests fast: the default limits take a noticeable amount of time and memory, on purpose
+const CHEAP = { opslimit: sodium.crypto_pwhash_OPSLIMIT_MIN, memlimit: sodium.crypto_pwhash_MEMLIMIT_MIN }
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("serializeKeypair() and deserializeKeypair() round trip", t => {
+  const keypair = crypto.generateKeypair()
+  t.deepEqual(util.deserializeKeypair(util.serializeKeypair(keypair)), keypair, "keypair should survive serialization")
+  t.end()
+})
+
+test("encryptKeypair() and decryptKeypair() round trip", t => {
+  const keypair = crypto.generateKeypair()
+  const encrypted = util.encryptKeypair(keypair, "correct horse battery staple")
+  const json = JSON.parse(encrypted)
+  t.equal(json.version, 1, "format should be versioned")
+  t.equal(json.opslimit, sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE, "default cost should be recorded")
+  t.false(encrypted.includes(b4a.toString(keypair.secretKey, "hex")), "secret key should not be stored in the clear")
+  t.deepEqual(util.decryptKeypair(encrypted, "correct horse battery staple"), keypair, "keypair should decrypt with the passphrase")
+
+  const cheap = util.encryptKeypair(keypair, b4a.from("passphrase"), CHEAP)
+  t.notEqual(cheap, util.encryptKeypair(keypair, "passphrase", CHEAP), "salt and nonce should be random")
+  t.deepEqual(util.decryptKeypair(cheap, "passphrase"), keypair, "buffer and string passphrases should be interchangeable")
+  t.end()
+})
+
+test("decryptKeypair() rejects wrong passphrases and corrupt input", t => {
+  const keypair = crypto.generateKeypair()
+  const encrypted = util.encryptKeypair(keypair, "passphrase", CHEAP)
+  const json = JSON.parse(encrypted)
+  const altered = (changes) => JSON.stringify(Object.assign({}, json, changes))
+
+  let err = caught(() => util.decryptKeypair(encrypted, "wrong"))
+  t.true(err instanceof errors.CableDecodeError, "wrong passphrase should be a decode error")
+  t.equal(err.code, errors.codes.WRONG_PASSPHRASE, "wrong passphrase should be signalled")
+  const flipped = (json.ciphertext[0] === "0" ? "1" : "0") + json.ciphertext.slice(1)
+  t.equal(caught(() => util.decryptKeypair(altered({ ciphertext: flipped }), "passphrase")).code, errors.codes.WRONG_PASSPHRASE, "altered ciphertext should fail to decrypt")
+
+  t.equal(caught(() => util.decryptKeypair("{", "passphrase")).code, errors.codes.INVALID_TYPE, "invalid json should be signalled")
+  t.equal(caught(() => util.decryptKeypair(altered({ version: 2 }), "passphrase")).code, errors.codes.UNKNOWN_VALUE, "unknown version should be signalled")
+  t.equal(caught(() => util.decryptKeypair(altered({ memlimit: 2 ** 40 }), "passphrase")).code, errors.codes.OUT_OF_RANGE, "excessive cost should be refused")
+  t.equal(caught(() => util.decryptKeypair(altered({ salt: "00" }), "passphrase")).code, errors.codes.INVALID_TYPE, "truncated salt should be signalled")
+  err = caught(() => util.decryptKeypair(altered({ publicKey: b4a.toString(crypto.generateKeypair().publicKey, "hex") }), "passphrase"))
+  t.equal(err.field, "publicKey", "public key not matching the secret key should be signalled")
+  t.equal(err.code, errors.codes.KEY_MISMATCH, "code should signal the mismatched keys")
+  t.true(caught(() => util.encryptKeypair(keypair, "")) instanceof errors.CableEncodeError, "empty passphrase should be refused")
+  t.true(caught(() => util.encryptKeypair({}, "passphrase")) instanceof errors.CableEncodeError, "missing keys should be refused")
+  t.end()
+})
+
+test("generateKeypair(seed) derives the same keypair from the same seed", t => {
+  const seed = crypto.generateSeed()
+  const keypair = crypto.generateKeypair(seed)
+  t.deepEqual(crypto.generateKeypair(seed), keypair, "same seed should yield the same keypair")
+  t.notDeepEqual(crypto.generateKeypair(crypto.generateSeed()), keypair, "other seed should yield another keypair")
+  t.deepEqual(crypto.keypairSeed(keypair), seed, "keypairSeed should return the seed")
+  const random = crypto.generateKeypair()
+  t.deepEqual(crypto.generateKeypair(crypto.keypairSeed(random)), random, "random keypairs should have a seed too")
+  t.throws(() => crypto.generateKeypair(b4a.alloc(3)), errors.CableEncodeError, "seed of the wrong size should throw")
+  t.end()
+})
+
+test("recovery phrases restore a keypair", t => {
+  const keypair = crypto.generateKeypair()
+  const phrase = util.exportRecoveryPhrase(keypair)
+  t.equal(phrase.split("-").length, 17, "phrase should consist of 17 words")
+  t.deepEqual(util.importRecoveryPhrase(phrase), keypair, "importing the phrase should restore the keypair")
+  t.deepEqual(util.importRecoveryPhrase(` ${phrase.toUpperCase().split("-").join("  ")}\n`), keypair, "case and separators should not matter")
+
+  const seed = b4a.alloc(32)
+  seed[0] = 0x7f
+  seed[1] = 0x00
+  t.equal(util.seedToPhrase(seed).split("-")[0], "lusab", "words should be proquints")
+  t.deepEqual(util.phraseToSeed(util.seedToPhrase(seed)), seed, "seed should survive a round trip")
+  t.end()
+})
+
+test("importRecoveryPhrase() rejects mistyped phrases", t => {
+  const words = util.exportRecoveryPhrase(crypto.generateKeypair()).split("-")
+  const typo = words.slice()
+  typo[3] = typo[3][0] === "b" ? `d${typo[3].slice(1)}` : `b${typo[3].slice(1)}`
+  t.equal(caught(() => util.importRecoveryPhrase(typo.join("-"))).code, errors.codes.INVALID_CHECKSUM, "typo should fail the checksum")
+  t.equal(caught(() => util.importRecoveryPhrase(words.slice(1).join("-"))).code, errors.codes.LENGTH_MISMATCH, "missing word should be signalled")
+  t.equal(caught(() => util.importRecoveryPhrase(["hello"].concat(words.slice(1)).join("-"))).code, errors.codes.UNKNOWN_VALUE, "unknown word should be signalled")
+  t.true(caught(() => util.importRecoveryPhrase(42)) instanceof errors.CableEncodeError, "non-string should throw")
+  t.end()
+})
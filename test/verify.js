@@ -0,0 +1,146 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const errors = require("../errors")
+const { VerifierPool, verifyPostsSync } = require("../verifier")
+const b4a = require("b4a")
+const { caught } = require("../testutils/caught")
+
+test("test passes", t => {
+  t.plan(1)
+  t.pass("this test always passes")
+})
+
+test("{ verify: false } skips signature verification", t => {
+  const keypair = crypto.generateKeypair()
+  const buf = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hello")
+  const tampered = b4a.from(buf)
+  tampered[tampered.length - 1] ^= 1
+
+  t.true(caught(() => cable.TEXT_POST.toJSON(tampered)) instanceof errors.CableSignatureError, "tampered post should fail by default")
+  t.equal(cable.TEXT_POST.toJSON(tampered, { verify: false }).text, "helln", "toJSON should decode without verifying")
+  t.equal(cable.parsePost(tampered, { verify: false }).text, "helln", "parsePost should decode without verifying")
+  t.true(cable.parsePost(tampered, { verify: false, lenient: true }).ok, "verify should combine with lenient")
+  t.false(cable.parsePost(tampered, { verify: true, lenient: true }).ok, "verify: true should verify")
+
+  const err = caught(() => cable.TEXT_POST.toJSON(b4a.concat([tampered, b4a.from([0])]), { verify: false }))
+  t.equal(err.code, errors.codes.LENGTH_MISMATCH, "everything besides the signature should still be checked")
+  t.end()
+})
+
+test("verifyPost() verifies a post on its own", t => {
+  const keypair = crypto.generateKeypair()
+  const buf = cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+  t.true(cable.verifyPost(buf), "untouched post should verify")
+  const tampered = b4a.from(buf)
+  tampered[tampered.length - 1] ^= 1
+  t.false(cable.verifyPost(tampered), "tampered post should not verify")
+  t.false(cable.verifyPost(b4a.alloc(10)), "buffer too short to be a post should not verify")
+  t.false(cable.verifyPost("post"), "a string should not verify")
+  t.end()
+})
+
+// a mix of valid posts and posts with a tampered signature, along with whether each one should verify
+function mixedPosts (n) {
+  const keypair = crypto.generateKeypair()
+  const posts = []
+  const expected = []
+  for (let i = 0; i < n; i++) {
+    const buf = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", i, `post ${i}`)
+    if (i % 3 === 0) { buf[buf.length - 1] ^= 1 }
+    posts.push(buf)
+    expected.push(i % 3 !== 0)
+  }
+  return { posts, expected }
+}
+
+test("verifyPosts() verifies posts across a pool of workers", async t => {
+  const { posts, expected } = mixedPosts(40)
+  const pool = new VerifierPool({ size: 2 })
+  try {
+    t.deepEqual(await pool.verify(posts), expected, "pool should report whether each post verifies, in order")
+    t.deepEqual(await cable.verifyPosts(posts.slice(0, 5), { pool }), expected.slice(0, 5), "verifyPosts should use the given pool")
+    t.deepEqual(await pool.verify([]), [], "empty batch should verify to an empty array")
+  } finally {
+    pool.close()
+  }
+  t.deepEqual(await cable.verifyPosts(posts, { size: 2, minBatch: 0 }), expected, "verifyPosts should start and close a pool of its own")
+})
+
+test("verifyPosts() falls back to verifying synchronously", async t => {
+  const { posts, expected } = mixedPosts(10)
+  t.deepEqual(await cable.verifyPosts(posts), expected, "small batches should be verified right away")
+  t.deepEqual(await cable.verifyPosts(posts, { size: 0, minBatch: 0 }), expected, "pool without workers should verify synchronously")
+  t.deepEqual(verifyPostsSync([posts[1], b4a.alloc(10)]), [true, false], "buffer too short to be a post should not verify")
+
+  try {
+    await cable.verifyPosts("posts", { minBatch: 0 })
+    t.fail("non-array should reject")
+  } catch (err) {
+    t.true(err instanceof errors.CableEncodeError, "non-array should reject with an encode error")
+  }
+
+  const pool = new VerifierPool({ size: 1 })
+  pool.close()
+  try {
+    await pool.verify(posts)
+    t.fail("closed pool should reject")
+  } catch (err) {
+    t.true(err instanceof errors.CableEncodeError, "closed pool should reject with an encode error")
+    t.equal(err.code, errors.codes.POOL_CLOSED, "code should signal the closed pool")
+  }
+
+  // closing the pool rejects the posts handed to its workers, which are then verified here instead
+  const closing = new VerifierPool({ size: 1 })
+  const verifying = closing.verify(posts)
+  closing.close()
+  t.deepEqual(await verifying, expected, "posts pending when the pool closes should still be verified")
+})
+
+test("a verification cache skips verifying posts seen before", t => {
+  const keypair = crypto.generateKeypair()
+  const buf = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "hello")
+  const hash = crypto.hash(buf)
+  const cache = new cable.VerificationCache({ max: 2 })
+
+  t.equal(cable.parsePost(buf, { cache }).text, "hello", "first decode should verify")
+  t.true(cache.has(hash), "verified post should be cached")
+  t.equal(cable.TEXT_POST.toJSON(buf, { cache }).text, "hello", "toJSON should consult the cache too")
+  t.deepEqual(cache.stats(), { size: 1, max: 2, hits: 2, misses: 1, evictions: 0 }, "stats should count hits and misses")
+
+  const tampered = b4a.from(buf)
+  tampered[tampered.length - 1] ^= 1
+  t.true(caught(() => cable.parsePost(tampered, { cache })) instanceof errors.CableSignatureError, "tampered post should still fail")
+  t.false(cache.has(crypto.hash(tampered)), "post failing to verify should not be cached")
+  t.true(cable.parsePost(tampered, { cache, lenient: true, verify: false }).ok, "verify: false should bypass the cache")
+
+  t.true(cache.invalidate(hash), "invalidate should report the post was cached")
+  t.false(cache.has(hash), "invalidated post should be gone")
+  t.false(cache.invalidate(hash), "invalidating again should report nothing was cached")
+  t.end()
+})
+
+test("a verification cache evicts the least recently used posts", t => {
+  const keypair = crypto.generateKeypair()
+  const posts = [0, 1, 2].map(i => cable.JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", i))
+  const hashes = posts.map(buf => crypto.hash(buf))
+  const cache = new cable.VerificationCache({ max: 2 })
+  cable.parsePost(posts[0], { cache })
+  cable.parsePost(posts[1], { cache })
+  cable.parsePost(posts[0], { cache })
+  cable.parsePost(posts[2], { cache })
+  t.true(cache.has(hashes[0]), "recently used post should be kept")
+  t.false(cache.has(hashes[1]), "least recently used post should be evicted")
+  t.true(cache.has(hashes[2]), "newest post should be cached")
+  t.equal(cache.stats().evictions, 1, "stats should count evictions")
+
+  cache.clear()
+  t.equal(cache.size, 0, "clear should empty the cache")
+  t.true(caught(() => new cable.VerificationCache({ max: 0 })) instanceof errors.CableEncodeError, "max should be positive")
+  t.equal(caught(() => cable.parsePost(posts[0], { cache: {} })).code, errors.codes.INVALID_TYPE, "cache should be checked")
+  t.end()
+})
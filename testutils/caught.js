@@ -0,0 +1,18 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// returns the error thrown by fn, or null if it didn't throw. lets tests check the class and the `code` of an error,
+// which t.throws() can't do on its own
+function caught (fn) {
+  try {
+    fn()
+  } catch (err) {
+    return err
+  }
+  return null
+}
+
+module.exports = {
+  caught
+}
@@ -0,0 +1,77 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// derives the KNOWN_ANSWER vectors of test/handshake.js with noise-handshake (pinned in devDependencies), an
+// implementation of Noise_XXpsk0_25519_ChaChaPoly_BLAKE2b independent of handshake.js. run it with
+//   node testutils/handshake-vectors.js
+// and paste its output over KNOWN_ANSWER. only sodium-universal is shared with handshake.js, to derive the keys
+const Noise = require("noise-handshake")
+const Cipher = require("noise-handshake/cipher")
+const sodium = require("sodium-universal")
+const b4a = require("b4a")
+
+// 32 consecutive bytes, counting up from `start`
+function sequence (start) {
+  const buf = b4a.alloc(32)
+  for (let i = 0; i < buf.length; i++) { buf[i] = (start + i) & 0xff }
+  return buf
+}
+
+// the ed25519 keypair of a seed, and its x25519 counterpart used as the noise static key
+function keypairs (seed) {
+  const publicKey = b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES)
+  const secretKey = b4a.alloc(sodium.crypto_sign_SECRETKEYBYTES)
+  sodium.crypto_sign_seed_keypair(publicKey, secretKey, seed)
+  const x25519 = { publicKey: b4a.alloc(32), secretKey: b4a.alloc(32) }
+  sodium.crypto_sign_ed25519_pk_to_curve25519(x25519.publicKey, publicKey)
+  sodium.crypto_sign_ed25519_sk_to_curve25519(x25519.secretKey, secretKey)
+  return { publicKey, x25519 }
+}
+
+function ephemeral (secretKey) {
+  const publicKey = b4a.alloc(32)
+  sodium.crypto_scalarmult_base(publicKey, secretKey)
+  return { publicKey, secretKey: b4a.from(secretKey) }
+}
+
+const inputs = {
+  initiatorSeed: sequence(0x00),
+  responderSeed: sequence(0x20),
+  cabalKey: sequence(0x40),
+  initiatorEphemeral: sequence(0x60),
+  responderEphemeral: sequence(0x80)
+}
+const alice = keypairs(inputs.initiatorSeed)
+const bob = keypairs(inputs.responderSeed)
+const prologue = b4a.from("CABLE1")
+
+const initiator = new Noise("XXpsk0", true, alice.x25519, { psk: inputs.cabalKey })
+const responder = new Noise("XXpsk0", false, bob.x25519, { psk: inputs.cabalKey })
+initiator.initialise(prologue)
+responder.initialise(prologue)
+initiator.e = ephemeral(inputs.initiatorEphemeral)
+responder.e = ephemeral(inputs.responderEphemeral)
+
+// noise-handshake zeroes parts of the messages it receives, so each side is handed a copy.
+// the payloads are the ed25519 public keys, as in handshake.js
+const messages = []
+messages.push(initiator.send())
+responder.recv(b4a.from(messages[0]))
+messages.push(responder.send(bob.publicKey))
+const bobPublicKey = initiator.recv(b4a.from(messages[1]))
+messages.push(initiator.send(alice.publicKey))
+const alicePublicKey = responder.recv(b4a.from(messages[2]))
+if (!b4a.equals(bobPublicKey, bob.publicKey) || !b4a.equals(alicePublicKey, alice.publicKey)) {
+  throw new Error("expected the handshake payloads to be the peers' ed25519 public keys")
+}
+
+const hex = (buf) => b4a.toString(buf, "hex")
+const initiatorTx = new Cipher(initiator.tx)
+const responderTx = new Cipher(responder.tx)
+const vectors = {}
+for (const [name, buf] of Object.entries(inputs)) { vectors[name] = hex(buf) }
+vectors.messages = messages.map(hex)
+vectors.initiatorToResponder = ["hello", "bob"].map(text => hex(initiatorTx.encrypt(b4a.from(text))))
+vectors.responderToInitiator = ["hi alice"].map(text => hex(responderTx.encrypt(b4a.from(text))))
+console.log(JSON.stringify(vectors, null, 2))
@@ -0,0 +1,70 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// a stand-in for a key agent, used to test signers that keep the secret key out of the process creating posts.
+// startKeyAgent() forks this file as a child process, hands it the secret key and returns a signer (see
+// signers.js) that sends each payload over IPC and resolves with the signature the child sends back
+const { fork } = require("child_process")
+const b4a = require("b4a")
+const crypto = require("../cryptography.js")
+
+function startKeyAgent (keypair) {
+  const child = fork(__filename, [], { stdio: ["ignore", "inherit", "inherit", "ipc"] })
+  const pending = new Map()
+  let nextId = 0
+  child.on("message", ({ id, signature, error }) => {
+    const { resolve, reject } = pending.get(id)
+    pending.delete(id)
+    if (error) { return reject(new Error(error)) }
+    resolve(b4a.from(signature, "hex"))
+  })
+  child.on("exit", () => {
+    for (const { reject } of pending.values()) { reject(new Error("key agent exited")) }
+    pending.clear()
+  })
+  child.send({ secretKey: b4a.toString(keypair.secretKey, "hex") })
+
+  return {
+    publicKey: keypair.publicKey,
+    sign (payload) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++
+        pending.set(id, { resolve, reject })
+        child.send({ id, payload: b4a.toString(payload, "hex") })
+      })
+    },
+    close () {
+      return new Promise(resolve => {
+        if (child.exitCode !== null) { return resolve() }
+        child.once("exit", () => resolve())
+        child.disconnect()
+      })
+    }
+  }
+}
+
+// the agent itself: holds the secret key and signs whatever it is sent, until its parent disconnects
+function runAgent () {
+  let secretKey = null
+  process.on("message", (msg) => {
+    if (msg.secretKey) {
+      secretKey = b4a.from(msg.secretKey, "hex")
+      return
+    }
+    try {
+      const signature = crypto.signDetached(b4a.from(msg.payload, "hex"), secretKey)
+      process.send({ id: msg.id, signature: b4a.toString(signature, "hex") })
+    } catch (err) {
+      process.send({ id: msg.id, error: err.message })
+    }
+  })
+}
+
+if (require.main === module) {
+  runAgent()
+}
+
+module.exports = {
+  startKeyAgent
+}
@@ -3,6 +3,27 @@
 // SPDX-License-Identifier: LGPL-3.0-or-later
 
 const b4a = require("b4a")
+const sodium = require("sodium-universal")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const { CableEncodeError, CableDecodeError, codes } = require("./errors.js")
+
+// version of the format written by encryptKeypair
+const ENCRYPTED_KEYPAIR_VERSION = 1
+const KDF = "argon2id13"
+// limits on the cost an encrypted keypair can ask of decryptKeypair, so that a crafted file can't make it exhaust
+// memory or time
+const MAX_OPSLIMIT = sodium.crypto_pwhash_OPSLIMIT_SENSITIVE
+const MAX_MEMLIMIT = sodium.crypto_pwhash_MEMLIMIT_SENSITIVE
+
+// recovery phrases spell out bytes as proquints (https://arxiv.org/html/0901.4016): pronounceable five-letter words of
+// alternating consonants and vowels, each encoding 16 bits
+const PROQUINT_CONSONANTS = "bdfghjklmnprstvz"
+const PROQUINT_VOWELS = "aiou"
+// bytes of the seed's hash appended to it as a checksum, i.e. one extra word
+const PHRASE_CHECKSUM_SIZE = 2
+const PHRASE_WORDS = (constants.SEED_SIZE + PHRASE_CHECKSUM_SIZE) / 2
+
 // takes the json structure produced by generateKeypair and returns a serialized string representation 
 // where the buffers have been correctly serialized as hex strings
 function serializeKeypair(kp) {
@@ -24,7 +45,200 @@ function deserializeKeypair(input) {
   return kp
 }
 
+// takes the json structure produced by generateKeypair and a passphrase (string or buffer), and returns a string that
+// holds the keypair with its secret key encrypted, safe to store on disk. the passphrase is stretched into an
+// encryption key using argon2id (sodium's crypto_pwhash), with the cost given by opts.opslimit and opts.memlimit
+// (default: sodium's "interactive" limits), and the secret key is sealed with crypto_secretbox. the result is json:
+//
+//   { version: 1, kdf: "argon2id13", opslimit, memlimit, salt, nonce, publicKey, ciphertext }
+//
+// with the buffers as hex strings. decrypt it with decryptKeypair
+function encryptKeypair(kp, passphrase, opts) {
+  opts = opts || {}
+  if (!kp || !isBufferSize(kp.publicKey, constants.PUBLICKEY_SIZE) || !isBufferSize(kp.secretKey, constants.SECRETKEY_SIZE)) {
+    throw new CableEncodeError("expected keypair to hold a publicKey and a secretKey buffer", { code: codes.INVALID_TYPE, field: "keypair" })
+  }
+  const opslimit = opts.opslimit === undefined ? sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE : opts.opslimit
+  const memlimit = opts.memlimit === undefined ? sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE : opts.memlimit
+  checkLimit("opslimit", opslimit, sodium.crypto_pwhash_OPSLIMIT_MIN, MAX_OPSLIMIT, CableEncodeError)
+  checkLimit("memlimit", memlimit, sodium.crypto_pwhash_MEMLIMIT_MIN, MAX_MEMLIMIT, CableEncodeError)
+
+  const salt = b4a.alloc(sodium.crypto_pwhash_SALTBYTES)
+  sodium.randombytes_buf(salt)
+  const nonce = b4a.alloc(sodium.crypto_secretbox_NONCEBYTES)
+  sodium.randombytes_buf(nonce)
+  const key = deriveKey(passphrase, salt, opslimit, memlimit)
+  const ciphertext = b4a.alloc(kp.secretKey.length + sodium.crypto_secretbox_MACBYTES)
+  sodium.crypto_secretbox_easy(ciphertext, kp.secretKey, nonce, key)
+  sodium.sodium_memzero(key)
+
+  return JSON.stringify({
+    version: ENCRYPTED_KEYPAIR_VERSION,
+    kdf: KDF,
+    opslimit,
+    memlimit,
+    salt: b4a.toString(salt, "hex"),
+    nonce: b4a.toString(nonce, "hex"),
+    publicKey: b4a.toString(kp.publicKey, "hex"),
+    ciphertext: b4a.toString(ciphertext, "hex")
+  })
+}
+
+// takes the string returned by encryptKeypair and the passphrase it was encrypted with, and returns the structure
+// produced by generateKeypair(). throws a CableDecodeError with code ERR_WRONG_PASSPHRASE if the passphrase is wrong
+// (or the encrypted secret key was altered), and with one of the other codes if the input is corrupt or of an unknown
+// version
+function decryptKeypair(input, passphrase) {
+  let json
+  try {
+    json = JSON.parse(input)
+  } catch (err) {
+    throw new CableDecodeError("expected an encrypted keypair; could not parse it as json", { code: codes.INVALID_TYPE, field: "input" })
+  }
+  if (json === null || typeof json !== "object") {
+    throw new CableDecodeError("expected an encrypted keypair to be a json object", { code: codes.INVALID_TYPE, field: "input" })
+  }
+  if (json.version !== ENCRYPTED_KEYPAIR_VERSION) {
+    throw new CableDecodeError(`unknown encrypted keypair version (${json.version})`, { code: codes.UNKNOWN_VALUE, field: "version", expected: ENCRYPTED_KEYPAIR_VERSION, actual: json.version })
+  }
+  if (json.kdf !== KDF) {
+    throw new CableDecodeError(`unknown key derivation function (${json.kdf})`, { code: codes.UNKNOWN_VALUE, field: "kdf", expected: KDF, actual: json.kdf })
+  }
+  checkLimit("opslimit", json.opslimit, sodium.crypto_pwhash_OPSLIMIT_MIN, MAX_OPSLIMIT, CableDecodeError)
+  checkLimit("memlimit", json.memlimit, sodium.crypto_pwhash_MEMLIMIT_MIN, MAX_MEMLIMIT, CableDecodeError)
+  const salt = hexField(json, "salt", sodium.crypto_pwhash_SALTBYTES)
+  const nonce = hexField(json, "nonce", sodium.crypto_secretbox_NONCEBYTES)
+  const publicKey = hexField(json, "publicKey", constants.PUBLICKEY_SIZE)
+  const ciphertext = hexField(json, "ciphertext", constants.SECRETKEY_SIZE + sodium.crypto_secretbox_MACBYTES)
+
+  const key = deriveKey(passphrase, salt, json.opslimit, json.memlimit)
+  const secretKey = b4a.alloc(constants.SECRETKEY_SIZE)
+  const opened = sodium.crypto_secretbox_open_easy(secretKey, ciphertext, nonce, key)
+  sodium.sodium_memzero(key)
+  if (!opened) {
+    throw new CableDecodeError("could not decrypt the keypair: wrong passphrase", { code: codes.WRONG_PASSPHRASE, field: "passphrase" })
+  }
+  // an ed25519 secret key ends with its public key: the one stored alongside it must match
+  if (!b4a.equals(secretKey.subarray(constants.SECRETKEY_SIZE - constants.PUBLICKEY_SIZE), publicKey)) {
+    throw new CableDecodeError("the public key of the encrypted keypair does not match its secret key", { code: codes.KEY_MISMATCH, field: "publicKey" })
+  }
+  return { publicKey, secretKey }
+}
+
+function deriveKey(passphrase, salt, opslimit, memlimit) {
+  if (typeof passphrase === "string") { passphrase = b4a.from(passphrase) }
+  if (!b4a.isBuffer(passphrase) || passphrase.length === 0) {
+    throw new CableEncodeError("expected passphrase to be a non-empty string or buffer", { code: codes.INVALID_TYPE, field: "passphrase" })
+  }
+  const key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES)
+  sodium.crypto_pwhash(key, passphrase, salt, opslimit, memlimit, sodium.crypto_pwhash_ALG_ARGON2ID13)
+  return key
+}
+
+function checkLimit(name, value, min, max, ErrorClass) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ErrorClass(`expected ${name} to be an integer between ${min} and ${max}; was ${value}`, { code: codes.OUT_OF_RANGE, field: name, expected: [min, max], actual: value })
+  }
+}
+
+// returns json[name] as a buffer, checking that it is a hex string of `size` bytes
+function hexField(json, name, size) {
+  const value = json[name]
+  if (typeof value !== "string" || value.length !== size * 2 || !/^[0-9a-f]*$/i.test(value)) {
+    throw new CableDecodeError(`expected ${name} to be a hex string of ${size} bytes`, { code: codes.INVALID_TYPE, field: name })
+  }
+  return b4a.from(value, "hex")
+}
+
+function isBufferSize(value, size) {
+  return b4a.isBuffer(value) && value.length === size
+}
+
+// takes the json structure produced by generateKeypair and returns its recovery phrase: the seed of the keypair (see
+// cryptography.keypairSeed) followed by a checksum, written out as 17 hyphenated proquints, e.g. "lusab-babad-...".
+// anyone holding the phrase holds the identity, so it should be kept as secret as the secret key itself
+function exportRecoveryPhrase(kp) {
+  return seedToPhrase(crypto.keypairSeed(kp))
+}
+
+// takes a recovery phrase returned by exportRecoveryPhrase and returns the keypair it was exported from. words may be
+// separated by hyphens or whitespace, in any case. throws a CableDecodeError with code ERR_INVALID_CHECKSUM if the
+// phrase was mistyped
+function importRecoveryPhrase(phrase) {
+  return crypto.generateKeypair(phraseToSeed(phrase))
+}
+
+// takes a seed (see cryptography.generateSeed) and returns its recovery phrase
+function seedToPhrase(seed) {
+  if (!isBufferSize(seed, constants.SEED_SIZE)) {
+    throw new CableEncodeError(`expected seed to be a buffer of ${constants.SEED_SIZE} bytes`, { code: codes.INVALID_TYPE, field: "seed" })
+  }
+  const bytes = b4a.concat([seed, phraseChecksum(seed)])
+  const words = []
+  for (let i = 0; i < bytes.length; i += 2) {
+    words.push(encodeProquint((bytes[i] << 8) | bytes[i + 1]))
+  }
+  return words.join("-")
+}
+
+// the inverse of seedToPhrase
+function phraseToSeed(phrase) {
+  if (typeof phrase !== "string") {
+    throw new CableEncodeError("expected phrase to be a string", { code: codes.INVALID_TYPE, field: "phrase" })
+  }
+  const words = phrase.trim().toLowerCase().split(/[\s-]+/)
+  if (words.length !== PHRASE_WORDS) {
+    throw new CableDecodeError(`expected a recovery phrase of ${PHRASE_WORDS} words; was ${words.length}`, { code: codes.LENGTH_MISMATCH, field: "phrase", expected: PHRASE_WORDS, actual: words.length })
+  }
+  const bytes = b4a.alloc(words.length * 2)
+  words.forEach((word, i) => {
+    const value = decodeProquint(word)
+    if (value === null) {
+      throw new CableDecodeError(`"${word}" is not a word of a recovery phrase`, { code: codes.UNKNOWN_VALUE, field: "phrase", actual: word })
+    }
+    bytes[i * 2] = value >> 8
+    bytes[i * 2 + 1] = value & 0xff
+  })
+  const seed = bytes.subarray(0, constants.SEED_SIZE)
+  if (!b4a.equals(bytes.subarray(constants.SEED_SIZE), phraseChecksum(seed))) {
+    throw new CableDecodeError("recovery phrase does not match its checksum; check it for typos", { code: codes.INVALID_CHECKSUM, field: "phrase" })
+  }
+  return b4a.from(seed)
+}
+
+function phraseChecksum(seed) {
+  return crypto.hash(seed).subarray(0, PHRASE_CHECKSUM_SIZE)
+}
+
+// encodes 16 bits as consonant, vowel, consonant, vowel, consonant: 4 + 2 + 4 + 2 + 4 bits
+function encodeProquint(n) {
+  return PROQUINT_CONSONANTS[(n >> 12) & 0xf] +
+    PROQUINT_VOWELS[(n >> 10) & 0x3] +
+    PROQUINT_CONSONANTS[(n >> 6) & 0xf] +
+    PROQUINT_VOWELS[(n >> 4) & 0x3] +
+    PROQUINT_CONSONANTS[n & 0xf]
+}
+
+// returns the 16 bits encoded by a proquint, or null if word is not a proquint
+function decodeProquint(word) {
+  if (word.length !== 5) { return null }
+  let n = 0
+  for (let i = 0; i < word.length; i++) {
+    const alphabet = i % 2 === 0 ? PROQUINT_CONSONANTS : PROQUINT_VOWELS
+    const index = alphabet.indexOf(word[i])
+    if (index === -1) { return null }
+    n = (n << (i % 2 === 0 ? 4 : 2)) | index
+  }
+  return n
+}
+
 module.exports = {
   serializeKeypair,
-  deserializeKeypair
+  deserializeKeypair,
+  encryptKeypair,
+  decryptKeypair,
+  exportRecoveryPhrase,
+  importRecoveryPhrase,
+  seedToPhrase,
+  phraseToSeed
 }
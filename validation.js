@@ -5,6 +5,7 @@
 const b4a = require("b4a")
 const crypto = require("./cryptography.js")
 const constants = require("./constants.js")
+const { CableValidationError, CableSignatureError, codes } = require("./errors.js")
 
 function isBufferSizeMin(b, MIN_SIZE) {
   if (b4a.isBuffer(b)) {
@@ -21,17 +22,21 @@ function isBufferSizeMax(b, MAX_SIZE) {
 }
 
 function codepointRangeExpected (param, min, max, actual) {
-  return new Error(`expected ${param} to be between ${min} and ${max} codepoints; was ${actual}`)
+  return new CableValidationError(`expected ${param} to be between ${min} and ${max} codepoints; was ${actual}`, { code: codes.OUT_OF_RANGE, field: param, expected: [min, max], actual })
+}
+
+function bufferExpectedMax (param, max, actual) {
+  return new CableValidationError(`expected ${param} to be a buffer of at most ${max} bytes; was ${actual}`, { code: codes.OUT_OF_RANGE, field: param, expected: max, actual })
 }
 
 function checkChannelName (channelBuf) {
   const correctlySized = isBufferSizeMin(channelBuf, constants.CHANNEL_NAME_MIN_CODEPOINTS) && isBufferSizeMax(channelBuf, constants.CHANNEL_NAME_MAX_CODEPOINTS)
-  if (!correctlySized) { throw codepointRangeExpected("channel", constants.TOPIC_MIN_CODEPOINTS, constants.TOPIC_MAX_CODEPOINTS, channelBuf.length) }
+  if (!correctlySized) { throw codepointRangeExpected("channel", constants.CHANNEL_NAME_MIN_CODEPOINTS, constants.CHANNEL_NAME_MAX_CODEPOINTS, channelBuf.length) }
 }
 
 function checkReason (reasonBuf) {
   const correctlySized = isBufferSizeMin(reasonBuf, constants.REASON_MIN_CODEPOINTS) && isBufferSizeMax(reasonBuf, constants.REASON_MAX_CODEPOINTS)
-  if (!correctlySized) { throw codepointRangeExpected("REASON", constants.REASON_MIN_CODEPOINTS, constants.REASON_MAX_CODEPOINTS, reasonBuf.length) }
+  if (!correctlySized) { throw codepointRangeExpected("reason", constants.REASON_MIN_CODEPOINTS, constants.REASON_MAX_CODEPOINTS, reasonBuf.length) }
 }
 
 function checkTopic(topicBuf) {
@@ -46,17 +51,17 @@ function checkUsername(valueBuf) {
 
 function checkInfoValue (valueBuf) {
   const correctlySized = isBufferSizeMax(valueBuf, constants.INFO_VALUE_MAX_BYTES)
-  if (!correctlySized) { throw new bufferExpectedMax("value", constants.INFO_VALUE_MAX_BYTES, textBuf.len) }
+  if (!correctlySized) { throw bufferExpectedMax("value", constants.INFO_VALUE_MAX_BYTES, valueBuf.length) }
 }
 
 function checkAcceptRole (valueBuf) {
   const acceptedValues = b4a.equals(b4a.from([1]), valueBuf) || b4a.equals(b4a.from([0]), valueBuf)
-  if (!acceptedValues) { throw new Error(`expected 'accept-role' to be a buffer containing value 0 or 1; was ${valueBuf}`) }
+  if (!acceptedValues) { throw new CableValidationError(`expected 'accept-role' to be a buffer containing value 0 or 1; was ${valueBuf}`, { code: codes.OUT_OF_RANGE, field: "accept-role", expected: [0, 1], actual: valueBuf }) }
 }
 
 function checkFuture (value) {
   const acceptedValues = (value === 0 || value === 1)
-  if (!acceptedValues) { throw new Error(`expected 'future' to contain either value 0 or 1; was ${value}`) }
+  if (!acceptedValues) { throw new CableValidationError(`expected 'future' to contain either value 0 or 1; was ${value}`, { code: codes.OUT_OF_RANGE, field: "future", expected: [0, 1], actual: value }) }
 }
 
 function checkInfoKey(keyBuf) {
@@ -66,22 +71,26 @@ function checkInfoKey(keyBuf) {
 
 function checkPostText(textBuf) {
   const correctlySized = isBufferSizeMax(textBuf, constants.POST_TEXT_MAX_BYTES)
-  if (!correctlySized) { throw new bufferExpectedMax("text", constants.POST_TEXT_MAX_BYTES, textBuf.len) }
+  if (!correctlySized) { throw bufferExpectedMax("text", constants.POST_TEXT_MAX_BYTES, textBuf.length) }
+}
+
+function recipientCountExpected (actual) {
+  return new CableValidationError(`expected recipients length to be between ${constants.RECIPIENT_COUNT_MIN} and ${constants.RECIPIENT_COUNT_MAX}; was ${actual}`, { code: codes.OUT_OF_RANGE, field: "recipients", expected: [constants.RECIPIENT_COUNT_MIN, constants.RECIPIENT_COUNT_MAX], actual })
 }
 
 function checkRecipientsLength (recipients) {
     if (recipients.length > constants.RECIPIENT_COUNT_MAX) {
-      throw new Error("recipients length exceeded max of 16")
+      throw recipientCountExpected(recipients.length)
     }
     if (recipients.length < constants.RECIPIENT_COUNT_MIN) {
-      throw new Error("recipients length below min of 1")
+      throw recipientCountExpected(recipients.length)
     }
 }
 
 function checkSignature (message, publicKey) {
   const signatureCorrect = crypto.verify(message, publicKey)
   if (!signatureCorrect) { 
-    throw new Error("could not verify signature created with keypair publicKey + secretKey") 
+    throw new CableSignatureError("could not verify signature created with keypair publicKey + secretKey", { code: codes.INVALID_SIGNATURE, field: "signature" })
   }
 }
 
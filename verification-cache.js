@@ -0,0 +1,101 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// remembers which posts had their signature verified, so that decoding the same post again (received from another
+// peer, read back from storage) skips verifying it. posts are keyed by their hash, as returned by crypto.hash(buf),
+// and the least recently used entries are evicted once the cache holds `max` of them. only signatures that verified
+// are remembered: a post failing to verify is checked again each time it is decoded.
+//
+// pass the cache to parsePost() or any post's toJSON() as the `cache` option:
+//
+//   const cache = new VerificationCache({ max: 10000 })
+//   const post = cable.parsePost(buf, { cache })
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const validation = require("./validation.js")
+const { CableEncodeError, codes } = require("./errors.js")
+
+const DEFAULT_MAX_ENTRIES = 4096
+
+class VerificationCache {
+  // opts.max   number of post hashes to remember (default: 4096)
+  constructor (opts) {
+    opts = opts || {}
+    const max = opts.max === undefined ? DEFAULT_MAX_ENTRIES : opts.max
+    if (!Number.isInteger(max) || max < 1) {
+      throw new CableEncodeError(`expected max to be a positive integer, was ${max}`, { code: codes.OUT_OF_RANGE, field: "max" })
+    }
+    this.max = max
+    this._entries = new Map()
+    this._hits = 0
+    this._misses = 0
+    this._evictions = 0
+  }
+
+  get size () {
+    return this._entries.size
+  }
+
+  // returns whether the post with the given hash is known to carry a valid signature, marking it as recently used
+  has (hash) {
+    const key = toKey(hash)
+    if (!this._entries.has(key)) {
+      this._misses++
+      return false
+    }
+    // re-inserting moves the key to the end of the map, which is kept in order of use
+    this._entries.delete(key)
+    this._entries.set(key, true)
+    this._hits++
+    return true
+  }
+
+  // records that the post with the given hash carries a valid signature
+  add (hash) {
+    const key = toKey(hash)
+    this._entries.delete(key)
+    this._entries.set(key, true)
+    if (this._entries.size > this.max) {
+      this._entries.delete(this._entries.keys().next().value)
+      this._evictions++
+    }
+  }
+
+  // forgets the post with the given hash, e.g. once it was deleted. returns whether it was cached
+  invalidate (hash) {
+    return this._entries.delete(toKey(hash))
+  }
+
+  clear () {
+    this._entries.clear()
+  }
+
+  // returns the number of cached entries and, since the cache was created, lookups that were hits and misses and
+  // entries evicted to make room for others
+  stats () {
+    return { size: this._entries.size, max: this.max, hits: this._hits, misses: this._misses, evictions: this._evictions }
+  }
+}
+
+// verifies the signature of post buf, unless cache holds its hash, and adds it to the cache once it verifies.
+// throws a CableSignatureError like validation.checkSignature
+function checkSignatureCached (buf, publicKey, cache) {
+  const hash = crypto.hash(buf)
+  if (cache.has(hash)) { return }
+  validation.checkSignature(buf, publicKey)
+  cache.add(hash)
+}
+
+function toKey (hash) {
+  if (!b4a.isBuffer(hash) || hash.length !== constants.HASH_SIZE) {
+    throw new CableEncodeError(`expected hash to be a buffer of ${constants.HASH_SIZE} bytes`, { code: codes.INVALID_TYPE, field: "hash" })
+  }
+  return b4a.toString(hash, "hex")
+}
+
+module.exports = {
+  VerificationCache,
+  checkSignatureCached
+}
@@ -0,0 +1,192 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// verifies the signatures of many posts at once, e.g. all posts of a POST_RESPONSE, off the main thread. posts are
+// split evenly across a pool of workers: worker_threads in nodejs, or web workers in the browser. wherever workers
+// can't be started, or fail, verification falls back to running synchronously on the calling thread
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const { CableEncodeError, codes } = require("./errors.js")
+
+// below this many posts, handing them to workers costs more than verifying them right away
+const MIN_PARALLEL_BATCH = 32
+const MAX_POOL_SIZE = 4
+
+// returns whether the signature of a post verifies against its public key. use it together with { verify: false }
+// to verify posts once, where they enter the application, rather than each time they are decoded
+function verifyPost (buf) {
+  if (!b4a.isBuffer(buf) || buf.length < constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE) { return false }
+  return crypto.verify(buf, buf.subarray(0, constants.PUBLICKEY_SIZE))
+}
+
+// returns an array holding, for each post in bufs, whether its signature verifies
+function verifyPostsSync (bufs) {
+  return bufs.map(verifyPost)
+}
+
+// a pool of verification workers, started on first use and kept around until close(). idle workers don't keep a
+// nodejs process alive.
+//
+// opts.size        number of workers (default: one less than the number of cpus, at most 4). 0 verifies
+//                  synchronously
+// opts.workerURL   url of verify-worker.js bundled for the browser. web workers are only used when it is set
+class VerifierPool {
+  constructor (opts) {
+    opts = opts || {}
+    this.size = opts.size === undefined ? defaultPoolSize() : opts.size
+    this._workerURL = opts.workerURL
+    this._workers = null
+    this._pending = new Map()
+    this._nextId = 0
+    this._closed = false
+  }
+
+  // resolves with an array holding, for each post in bufs, whether its signature verifies
+  async verify (bufs) {
+    if (!Array.isArray(bufs)) {
+      throw new CableEncodeError("expected bufs to be an array of posts", { code: codes.INVALID_TYPE, field: "bufs" })
+    }
+    if (this._closed) { throw poolClosed() }
+    const workers = this._start()
+    if (workers.length === 0 || bufs.length === 0) { return verifyPostsSync(bufs) }
+
+    const chunkSize = Math.ceil(bufs.length / workers.length)
+    const chunks = []
+    for (let i = 0; i < workers.length && i * chunkSize < bufs.length; i++) {
+      const chunk = bufs.slice(i * chunkSize, (i + 1) * chunkSize)
+      // a worker that fails leaves its share of posts to be verified here instead
+      chunks.push(this._send(workers[i], chunk).catch(() => verifyPostsSync(chunk)))
+    }
+    const results = await Promise.all(chunks)
+    return [].concat(...results)
+  }
+
+  close () {
+    this._closed = true
+    for (const { reject } of this._pending.values()) { reject(poolClosed()) }
+    this._pending.clear()
+    if (this._workers) { this._workers.forEach(worker => worker.terminate()) }
+    this._workers = []
+  }
+
+  _start () {
+    if (this._workers) { return this._workers }
+    this._workers = []
+    for (let i = 0; i < this.size; i++) {
+      const worker = startWorker(this._workerURL)
+      if (!worker) { break }
+      worker.busy = 0
+      worker.onMessage(({ id, results }) => this._settle(worker, id, (p) => p.resolve(results)))
+      worker.onError((err) => {
+        // drop the broken worker: pending requests fall back to synchronous verification
+        this._workers = this._workers.filter(w => w !== worker)
+        for (const [id, p] of this._pending) {
+          if (p.worker === worker) { this._settle(worker, id, (p) => p.reject(err)) }
+        }
+        worker.terminate()
+      })
+      this._workers.push(worker)
+    }
+    return this._workers
+  }
+
+  _send (worker, posts) {
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++
+      this._pending.set(id, { worker, resolve, reject })
+      if (worker.busy++ === 0) { worker.ref() }
+      worker.post({ id, posts })
+    })
+  }
+
+  _settle (worker, id, fn) {
+    const p = this._pending.get(id)
+    if (!p) { return }
+    this._pending.delete(id)
+    if (--worker.busy === 0) { worker.unref() }
+    fn(p)
+  }
+}
+
+// verifies the signatures of bufs, resolving with an array that holds whether each one verifies. uses opts.pool if
+// given, and otherwise a pool started for this call only (taking the options of VerifierPool). batches smaller than
+// opts.minBatch (default 32) are verified synchronously
+async function verifyPosts (bufs, opts) {
+  opts = opts || {}
+  if (opts.pool) { return opts.pool.verify(bufs) }
+  const minBatch = opts.minBatch === undefined ? MIN_PARALLEL_BATCH : opts.minBatch
+  if (Array.isArray(bufs) && bufs.length < minBatch) { return verifyPostsSync(bufs) }
+  const pool = new VerifierPool(opts)
+  try {
+    return await pool.verify(bufs)
+  } finally {
+    pool.close()
+  }
+}
+
+function defaultPoolSize () {
+  let cpus = 1
+  if (typeof navigator !== "undefined" && navigator.hardwareConcurrency) {
+    cpus = navigator.hardwareConcurrency
+  } else {
+    try {
+      cpus = require("os").cpus().length
+    } catch (err) {
+      // no way of telling: verify synchronously
+    }
+  }
+  return Math.max(0, Math.min(MAX_POOL_SIZE, cpus - 1))
+}
+
+// starts a worker running verify-worker.js, wrapped so that worker_threads and web workers look the same. returns
+// null if neither is available
+function startWorker (workerURL) {
+  if (workerURL && typeof Worker === "function") {
+    const worker = new Worker(workerURL)
+    return {
+      post: (msg) => worker.postMessage(msg),
+      onMessage: (fn) => worker.addEventListener("message", (e) => fn(e.data)),
+      onError: (fn) => worker.addEventListener("error", (e) => fn(workerFailed(e.message))),
+      ref () {},
+      unref () {},
+      terminate: () => worker.terminate()
+    }
+  }
+  let threads
+  try {
+    threads = require("worker_threads")
+  } catch (err) {
+    return null
+  }
+  if (!threads || typeof threads.Worker !== "function") { return null }
+  const worker = new threads.Worker(`${__dirname}/verify-worker.js`)
+  worker.unref()
+  return {
+    post: (msg) => worker.postMessage(msg),
+    onMessage: (fn) => worker.on("message", fn),
+    onError: (fn) => {
+      worker.on("error", (err) => fn(workerFailed(err.message)))
+      worker.on("exit", (code) => { if (code !== 0) { fn(workerFailed(`exited with code ${code}`)) } })
+    },
+    ref: () => worker.ref(),
+    unref: () => worker.unref(),
+    terminate: () => { worker.terminate() }
+  }
+}
+
+function poolClosed () {
+  return new CableEncodeError("verifier pool was closed", { code: codes.POOL_CLOSED, field: "pool" })
+}
+
+function workerFailed (reason) {
+  return new CableEncodeError(`verification worker failed: ${reason}`, { code: codes.WORKER_FAILED, field: "pool" })
+}
+
+module.exports = {
+  VerifierPool,
+  verifyPost,
+  verifyPosts,
+  verifyPostsSync
+}
@@ -0,0 +1,25 @@
+// SPDX-FileCopyrightText: 2026 the cable.js authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// the worker side of VerifierPool (see verifier.js): receives { id, posts } and answers with { id, results }, where
+// results[i] tells whether the signature of posts[i] verifies. runs as a nodejs worker_thread, or as a web worker
+// once bundled for the browser
+const { verifyPostsSync } = require("./verifier.js")
+
+function handle (msg) {
+  return { id: msg.id, results: verifyPostsSync(msg.posts) }
+}
+
+let parentPort = null
+try {
+  parentPort = require("worker_threads").parentPort
+} catch (err) {
+  // not running in nodejs
+}
+
+if (parentPort) {
+  parentPort.on("message", (msg) => parentPort.postMessage(handle(msg)))
+} else if (typeof self !== "undefined") {
+  self.onmessage = (e) => self.postMessage(handle(e.data))
+}